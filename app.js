@@ -2,10 +2,13 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const router = require('./routes/router');
+const { trustProxy } = require('./config/security');
 
 const fs = require("fs").promises;
 const path = require("path");
 const emailer = require('./services/emailer');
+const purgeDeletedJob = require('./jobs/purgeDeleted');
+const notificationDigestJob = require('./jobs/sendNotificationDigests');
 
 //mongodb+srv://admin:<password>@cluster0.zqzqy.mongodb.net/?retryWrites=true&w=majority&appName=Cluster0
 //https://cloud.mongodb.com/v2/682304d7e0461709850fb5f1#/overview
@@ -13,6 +16,9 @@ const emailer = require('./services/emailer');
 // Create Express app
 const app = express();
 
+// Take the client IP from trusted reverse proxies
+app.set('trust proxy', trustProxy);
+
 // Middleware
 app.use(cors()); // Enable CORS for all routes
 app.use(express.json({ limit: '20mb' })); // Body parser with 20mb limit
@@ -26,7 +32,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb+srv://smartdb_user:Mtimande
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  purgeDeletedJob.start();
+  notificationDigestJob.start();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 const emailTest = async () => {
@@ -0,0 +1,24 @@
+// Notification categories users can opt in or out of. Account and security
+// emails (verification, password reset, lockout, invitations) are critical
+// and always sent, so they are not listed here.
+const CATEGORIES = ['bookings', 'maintenance', 'courses', 'announcements'];
+
+// Channels a notification can be delivered on
+const CHANNELS = ['email', 'inApp'];
+
+// Send each notification as it happens, or collect them into a periodic digest
+const DELIVERY_MODES = ['immediate', 'digest'];
+
+// Preferences for a category the user has not changed
+const DEFAULT_PREFERENCE = {
+  email: true,
+  inApp: true,
+  delivery: 'immediate'
+};
+
+module.exports = {
+  CATEGORIES,
+  CHANNELS,
+  DELIVERY_MODES,
+  DEFAULT_PREFERENCE
+};
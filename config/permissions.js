@@ -0,0 +1,101 @@
+// Roles a user account can hold (shared by the User schema and request validation)
+const ROLES = ['student', 'teacher', 'staff', 'campus_admin', 'admin'];
+
+const ALL_ROLES = ROLES;
+
+// Roles whose access is limited to the user's own campus (see services/campusScope)
+const CAMPUS_SCOPED_ROLES = ['campus_admin'];
+
+// Permission policy: each permission lists the roles that are granted it
+const POLICY = {
+  // Users
+  'users:create': ['campus_admin', 'admin'],
+  'users:invite': ['campus_admin', 'admin'],
+  'users:import': ['admin'],
+  'users:read': ['staff', 'campus_admin', 'admin'],
+  'users:update': ['campus_admin', 'admin'],
+  'users:delete': ['campus_admin', 'admin'],
+  'users:toggle-status': ['campus_admin', 'admin'],
+  'users:unlock': ['campus_admin', 'admin'],
+  'users:reset-two-factor': ['admin'],
+  'users:restore': ['admin'],
+  'users:export-personal-data': ['admin'],
+  'users:erase-personal-data': ['admin'],
+  'users:impersonate': ['admin'],
+  'users:end-impersonation': ALL_ROLES,
+
+  // Campuses
+  'campuses:create': ['admin'],
+  'campuses:read': ALL_ROLES,
+  'campuses:stats': ['staff', 'campus_admin', 'admin'],
+  'campuses:update': ['admin'],
+  'campuses:delete': ['admin'],
+  'campuses:toggle-status': ['admin'],
+  'campuses:restore': ['admin'],
+  'campuses:merge': ['admin'],
+
+  // Campus calendar (closures, holidays, exam periods)
+  'closures:read': ALL_ROLES,
+  'closures:manage': ['campus_admin', 'admin'],
+
+  // Boardrooms
+  'boardrooms:create': ['campus_admin', 'admin'],
+  'boardrooms:read': ALL_ROLES,
+  'boardrooms:update': ['campus_admin', 'admin'],
+  'boardrooms:delete': ['campus_admin', 'admin'],
+  'boardrooms:toggle-status': ['campus_admin', 'admin'],
+
+  // Buildings and their floors
+  'buildings:create': ['campus_admin', 'admin'],
+  'buildings:read': ALL_ROLES,
+  'buildings:update': ['campus_admin', 'admin'],
+  'buildings:delete': ['campus_admin', 'admin'],
+
+  // Teaching rooms
+  'rooms:create': ['campus_admin', 'admin'],
+  'rooms:read': ALL_ROLES,
+  'rooms:update': ['campus_admin', 'admin'],
+  'rooms:delete': ['campus_admin', 'admin'],
+
+  // Courses
+  'courses:create': ['admin'],
+  'courses:read': ALL_ROLES,
+  'courses:stats': ['teacher', 'staff', 'campus_admin', 'admin'],
+  'courses:update': ['admin'],
+  'courses:delete': ['admin'],
+  'courses:restore': ['admin'],
+  'courses:manage-offerings': ['staff', 'campus_admin', 'admin'],
+
+  // Maintenance
+  'maintenance:create': ALL_ROLES,
+  'maintenance:read': ['teacher', 'staff', 'campus_admin', 'admin'],
+  'maintenance:update': ['staff', 'campus_admin', 'admin'],
+  'maintenance:delete': ['campus_admin', 'admin'],
+  'maintenance:assign': ['staff', 'campus_admin', 'admin'],
+  'maintenance:update-status': ['staff', 'campus_admin', 'admin'],
+  // Roles without maintenance:read may only add notes to requests they reported
+  'maintenance:add-note': ALL_ROLES,
+  'maintenance:approve-cost': ['campus_admin', 'admin'],
+
+  // Audit log
+  'audit-logs:read': ['admin'],
+
+  // API keys
+  'api-keys:manage': ['admin']
+};
+
+// Check whether a role is granted a permission
+const can = (role, permission) => {
+  const roles = POLICY[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roles.includes(role);
+};
+
+module.exports = {
+  ROLES,
+  CAMPUS_SCOPED_ROLES,
+  POLICY,
+  can
+};
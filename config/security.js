@@ -0,0 +1,69 @@
+const path = require('path');
+
+// Login brute-force protection thresholds (override through environment variables)
+const loginProtection = {
+  // Failures within this window count towards a lockout
+  failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+  // Failures on one account before it is temporarily locked
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+  // Failures from one client IP (across all accounts) before it is blocked
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+  // How long an account or IP stays locked once the threshold is reached
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  // Delay after the first failure, doubled for each further failure
+  baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS) || 1,
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 60
+};
+
+// Proxies whose X-Forwarded-For header is trusted for the client IP used by
+// login throttling (Express "trust proxy" setting: a hop count or addresses).
+// The default trusts proxies on private networks only, so a client reaching
+// the app directly cannot choose its own IP.
+const trustProxy = /^\d+$/.test(process.env.TRUST_PROXY || '')
+  ? parseInt(process.env.TRUST_PROXY)
+  : process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+
+// Two-factor authentication policy
+const twoFactor = {
+  // Roles that must enrol in TOTP before they can use the API
+  requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin,campus_admin,staff')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean),
+  // Issuer name shown in authenticator apps
+  issuer: process.env.TWO_FACTOR_ISSUER || 'Smart Campus Portal',
+  // Number of one-time recovery codes issued at enrolment
+  recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10
+};
+
+// Audit log retention (0 keeps entries forever). Applies to entries written
+// after a change; existing entries keep the expiry they were created with.
+const auditLog = {
+  retentionDays: process.env.AUDIT_LOG_RETENTION_DAYS !== undefined
+    ? parseInt(process.env.AUDIT_LOG_RETENTION_DAYS)
+    : 365
+};
+
+// Password policy applied whenever a password is set
+const passwordPolicy = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+  // Of lowercase, uppercase, digits and symbols
+  minCharacterClasses: parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES) || 3,
+  // Passphrases at least this long are exempt from the character class rule
+  passphraseLength: parseInt(process.env.PASSWORD_PASSPHRASE_LENGTH) || 20,
+  // Newline-separated list of common or breached passwords that are rejected
+  blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || path.join(__dirname, 'commonPasswords.txt'),
+  // Number of previous passwords that cannot be reused (0 disables the check)
+  historySize: process.env.PASSWORD_HISTORY_SIZE !== undefined
+    ? parseInt(process.env.PASSWORD_HISTORY_SIZE)
+    : 5
+};
+
+module.exports = {
+  loginProtection,
+  trustProxy,
+  twoFactor,
+  auditLog,
+  passwordPolicy
+};
@@ -0,0 +1,237 @@
+const ApiKey = require('../model/ApiKey');
+const User = require('../model/User');
+const Campus = require('../model/Campus');
+const apiKeys = require('../services/apiKeys');
+const { validationResult } = require('express-validator');
+
+// Check the permissions and campus requested for a key owned by `owner`;
+// returns an error response body, or null when valid
+const checkKeyScope = async (permissions, campus, owner) => {
+  const problems = apiKeys.validatePermissions(permissions, owner, campus);
+  if (problems.length > 0) {
+    return {
+      success: false,
+      error: 'Invalid API key permissions',
+      details: problems
+    };
+  }
+
+  if (campus && !(await Campus.exists({ _id: campus }))) {
+    return {
+      success: false,
+      error: 'Campus not found'
+    };
+  }
+
+  return null;
+};
+
+// Create an API key owned by the authenticated user
+exports.createApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, permissions, campus, expiresAt } = req.body;
+
+    const scopeError = await checkKeyScope(permissions, campus, req.user);
+    if (scopeError) {
+      return res.status(400).json(scopeError);
+    }
+
+    const { apiKey, key } = await apiKeys.createApiKey({
+      name,
+      owner: req.user._id,
+      permissions,
+      campus,
+      expiresAt
+    });
+
+    // The key itself is only returned here and when rotated
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey.getSummary(),
+        key
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error creating API key'
+    });
+  }
+};
+
+// Get API keys with filtering and pagination
+exports.getApiKeys = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.owner) filter.owner = req.query.owner;
+    if (req.query.campus) filter.campus = req.query.campus;
+    if (req.query.includeRevoked !== 'true') filter.revokedAt = null;
+
+    const keys = await ApiKey.find(filter)
+      .populate('owner', 'firstName lastName email role')
+      .populate('campus', 'name code')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await ApiKey.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: keys.map(apiKey => apiKey.getSummary()),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching API keys'
+    });
+  }
+};
+
+// Get single API key by ID
+exports.getApiKeyById = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate('owner', 'firstName lastName email role')
+      .populate('campus', 'name code');
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: apiKey.getSummary()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching API key'
+    });
+  }
+};
+
+// Update an API key's name, permissions, campus or expiry
+exports.updateApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const { name, permissions, campus, expiresAt } = req.body;
+    if (name !== undefined) apiKey.name = name;
+    if (permissions !== undefined) apiKey.permissions = permissions;
+    if (campus !== undefined) apiKey.campus = campus || undefined;
+    if (expiresAt !== undefined) apiKey.expiresAt = expiresAt || undefined;
+
+    const owner = await User.findById(apiKey.owner);
+    if (!owner) {
+      return res.status(400).json({
+        success: false,
+        error: 'API key owner no longer exists'
+      });
+    }
+
+    const scopeError = await checkKeyScope(apiKey.permissions, apiKey.campus, owner);
+    if (scopeError) {
+      return res.status(400).json(scopeError);
+    }
+
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      data: apiKey.getSummary()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error updating API key'
+    });
+  }
+};
+
+// Revoke an API key
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error revoking API key'
+    });
+  }
+};
+
+// Issue a new secret for an API key, keeping its settings
+exports.rotateApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey || !apiKey.isActive()) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or no longer active'
+      });
+    }
+
+    const key = await apiKeys.rotateApiKey(apiKey);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...apiKey.getSummary(),
+        key
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error rotating API key'
+    });
+  }
+};
@@ -0,0 +1,60 @@
+const AuditLog = require('../model/AuditLog');
+const { validationResult } = require('express-validator');
+
+// Get audit log entries with filtering and pagination
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      actor,
+      action,
+      operation,
+      targetModel,
+      targetId,
+      startDate,
+      endDate
+    } = req.query;
+
+    const query = {};
+
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (operation) query.operation = operation;
+    if (targetModel) query.targetModel = targetModel;
+    if (targetId) query.targetId = targetId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const logs = await AuditLog.find(query)
+      .populate('actor', 'firstName lastName email role')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: logs,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching audit logs'
+    });
+  }
+};
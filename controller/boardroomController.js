@@ -0,0 +1,447 @@
+const Boardroom = require('../model/Boardroom');
+const Booking = require('../model/Booking');
+const Maintenance = require('../model/Maintenance');
+const Campus = require('../model/Campus');
+const Floor = require('../model/Floor');
+const { validationResult } = require('express-validator');
+const campusScope = require('../services/campusScope');
+const closures = require('../services/closures');
+const timeZones = require('../services/timeZones');
+
+const MAX_AVAILABILITY_WINDOW_HOURS = parseInt(process.env.MAX_AVAILABILITY_WINDOW_HOURS) || 24;
+
+// Response for a campus outside the one the caller is limited to
+const outOfScope = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: campusScope.OUT_OF_SCOPE_ERROR
+  });
+};
+
+// Find the boardroom in req.params.id if the request may reach it; sends
+// the error response and returns null otherwise
+const findBoardroom = async (req, res) => {
+  const boardroom = await Boardroom.findById(req.params.id);
+
+  if (!boardroom) {
+    res.status(404).json({
+      success: false,
+      error: 'Boardroom not found'
+    });
+    return null;
+  }
+
+  if (!campusScope.includes(req, boardroom.campus)) {
+    outOfScope(res);
+    return null;
+  }
+
+  return boardroom;
+};
+
+// Place a boardroom on a floor of its campus (or take it off any floor when
+// `floorId` is empty); returns an error message, or null
+const setFloor = async (boardroom, floorId) => {
+  if (!floorId) {
+    boardroom.floor = undefined;
+    boardroom.building = undefined;
+    return null;
+  }
+
+  const floor = await Floor.findById(floorId);
+  if (!floor) {
+    return 'Invalid floor ID';
+  }
+  if (!floor.campus.equals(boardroom.campus)) {
+    return 'Floor is not on the boardroom\'s campus';
+  }
+
+  boardroom.floor = floor._id;
+  boardroom.building = floor.building;
+  return null;
+};
+
+// Fields that can be set on create and update
+const EDITABLE_FIELDS = ['name', 'code', 'capacity', 'facilities', 'status', 'operatingHours', 'description', 'lastMaintenance', 'nextMaintenance'];
+
+// Create a new boardroom
+exports.createBoardroom = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!campusScope.includes(req, req.body.campus)) {
+      return outOfScope(res);
+    }
+
+    // Verify campus exists
+    const campus = await Campus.findById(req.body.campus);
+    if (!campus) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campus ID'
+      });
+    }
+
+    const boardroom = new Boardroom({ campus: campus._id });
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) boardroom[field] = req.body[field];
+    }
+
+    const floorError = await setFloor(boardroom, req.body.floor);
+    if (floorError) {
+      return res.status(400).json({
+        success: false,
+        error: floorError
+      });
+    }
+
+    await boardroom.save();
+
+    res.status(201).json({
+      success: true,
+      data: boardroom
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Boardroom code already exists on this campus'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error creating boardroom'
+    });
+  }
+};
+
+// Get boardrooms with filtering and pagination. ?facilities is a
+// comma-separated list the boardroom must all have.
+exports.getBoardrooms = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.campus) filter.campus = req.query.campus;
+    if (req.query.building) filter.building = req.query.building;
+    if (req.query.floor) filter.floor = req.query.floor;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.minCapacity || req.query.maxCapacity) {
+      filter.capacity = {};
+      if (req.query.minCapacity) filter.capacity.$gte = parseInt(req.query.minCapacity);
+      if (req.query.maxCapacity) filter.capacity.$lte = parseInt(req.query.maxCapacity);
+    }
+    if (req.query.facilities) filter.facilities = { $all: req.query.facilities.split(',') };
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (campusScope.getCampus(req)) filter.campus = campusScope.getCampus(req);
+
+    const boardrooms = await Boardroom.find(filter)
+      .populate('campus', 'name code')
+      .populate('building', 'name code')
+      .populate('floor', 'level name')
+      .skip(skip)
+      .limit(limit)
+      .sort({ name: 1 });
+
+    const total = await Boardroom.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: boardrooms,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching boardrooms'
+    });
+  }
+};
+
+// Get single boardroom by ID
+exports.getBoardroomById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const boardroom = await findBoardroom(req, res);
+    if (!boardroom) return;
+
+    await boardroom.populate([
+      { path: 'campus', select: 'name code timeZone' },
+      { path: 'building', select: 'name code' },
+      { path: 'floor', select: 'level name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: boardroom
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching boardroom'
+    });
+  }
+};
+
+// Get a boardroom without its operating hours and maintenance details
+exports.getBoardroomSummary = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const boardroom = await findBoardroom(req, res);
+    if (!boardroom) return;
+
+    await boardroom.populate('campus', 'name code');
+
+    res.status(200).json({
+      success: true,
+      data: boardroom.getSummary()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching boardroom summary'
+    });
+  }
+};
+
+// Update boardroom
+exports.updateBoardroom = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const boardroom = await findBoardroom(req, res);
+    if (!boardroom) return;
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) boardroom[field] = req.body[field];
+    }
+
+    if (req.body.floor !== undefined) {
+      const floorError = await setFloor(boardroom, req.body.floor);
+      if (floorError) {
+        return res.status(400).json({
+          success: false,
+          error: floorError
+        });
+      }
+    }
+
+    await boardroom.save();
+
+    res.status(200).json({
+      success: true,
+      data: boardroom
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Boardroom code already exists on this campus'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error updating boardroom'
+    });
+  }
+};
+
+// Delete a boardroom with no upcoming bookings or open maintenance
+exports.deleteBoardroom = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const boardroom = await findBoardroom(req, res);
+    if (!boardroom) return;
+
+    const [futureBookings, openMaintenance] = await Promise.all([
+      Booking.countDocuments({
+        boardroom: boardroom._id,
+        status: { $in: ['pending', 'confirmed'] },
+        endTime: { $gt: new Date() }
+      }),
+      Maintenance.countDocuments({
+        boardroom: boardroom._id,
+        status: { $in: ['pending', 'assigned', 'in_progress'] },
+        isActive: true
+      })
+    ]);
+
+    if (futureBookings > 0 || openMaintenance > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete boardroom with upcoming bookings or open maintenance requests. Please cancel or complete them first.',
+        details: {
+          futureBookings,
+          openMaintenance
+        }
+      });
+    }
+
+    await boardroom.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error deleting boardroom'
+    });
+  }
+};
+
+// Toggle boardroom active status
+exports.toggleBoardroomStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const boardroom = await findBoardroom(req, res);
+    if (!boardroom) return;
+
+    boardroom.isActive = !boardroom.isActive;
+    await boardroom.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        isActive: boardroom.isActive
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error toggling boardroom status'
+    });
+  }
+};
+
+// Find boardrooms on a campus that are free for a whole time window
+// (?start and ?end; times without an offset are campus-local), optionally
+// with a minimum capacity and required facilities
+exports.getAvailability = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!campusScope.includes(req, req.query.campus)) {
+      return outOfScope(res);
+    }
+
+    const campus = await Campus.findById(req.query.campus);
+    if (!campus) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campus not found'
+      });
+    }
+
+    const timeZone = campus.timeZone || timeZones.DEFAULT_TIME_ZONE;
+    const start = timeZones.parseDateTime(req.query.start, timeZone);
+    const end = timeZones.parseDateTime(req.query.end, timeZone);
+
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        error: 'End time must be after start time'
+      });
+    }
+
+    if (end - start > MAX_AVAILABILITY_WINDOW_HOURS * 3600000) {
+      return res.status(400).json({
+        success: false,
+        error: `Time window cannot exceed ${MAX_AVAILABILITY_WINDOW_HOURS} hours`
+      });
+    }
+
+    const window = {
+      start: timeZones.describe(start, timeZone),
+      end: timeZones.describe(end, timeZone)
+    };
+
+    // Nothing is available while the campus is closed
+    const closed = await closures.findClosureDuring(campus._id, start, end);
+    if (closed) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          campus: campus._id,
+          window,
+          closure: {
+            date: closed.date,
+            name: closed.closure.name,
+            type: closed.closure.type
+          },
+          boardrooms: []
+        }
+      });
+    }
+
+    const boardrooms = await Boardroom.findAvailable(campus._id, {
+      start,
+      end,
+      capacity: parseInt(req.query.minCapacity) || 1,
+      facilities: req.query.facilities ? req.query.facilities.split(',') : []
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        campus: campus._id,
+        window,
+        boardrooms: boardrooms.map(boardroom => boardroom.getSummary())
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error searching boardroom availability'
+    });
+  }
+};
@@ -0,0 +1,390 @@
+const Building = require('../model/Building');
+const Floor = require('../model/Floor');
+const Room = require('../model/Room');
+const Boardroom = require('../model/Boardroom');
+const Campus = require('../model/Campus');
+const { validationResult } = require('express-validator');
+const campusScope = require('../services/campusScope');
+
+// Response for a campus outside the one the caller is limited to
+const outOfScope = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: campusScope.OUT_OF_SCOPE_ERROR
+  });
+};
+
+// Find the building in req.params.id if the request may reach it; sends the
+// error response and returns null otherwise
+const findBuilding = async (req, res) => {
+  const building = await Building.findById(req.params.id);
+
+  if (!building) {
+    res.status(404).json({
+      success: false,
+      error: 'Building not found'
+    });
+    return null;
+  }
+
+  if (!campusScope.includes(req, building.campus)) {
+    outOfScope(res);
+    return null;
+  }
+
+  return building;
+};
+
+// Find the floor in req.params.floorId within the building in req.params.id
+const findFloor = async (req, res) => {
+  const building = await findBuilding(req, res);
+  if (!building) return null;
+
+  const floor = await Floor.findOne({ _id: req.params.floorId, building: building._id });
+  if (!floor) {
+    res.status(404).json({
+      success: false,
+      error: 'Floor not found'
+    });
+    return null;
+  }
+
+  return floor;
+};
+
+// Create a new building on a campus
+exports.createBuilding = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!campusScope.includes(req, req.body.campus)) {
+      return outOfScope(res);
+    }
+
+    // Verify campus exists
+    const campus = await Campus.findById(req.body.campus);
+    if (!campus) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campus ID'
+      });
+    }
+
+    const { name, code, description } = req.body;
+    const building = await Building.create({
+      name,
+      code,
+      description,
+      campus: campus._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: building
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Building code already exists on this campus'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error creating building'
+    });
+  }
+};
+
+// Get buildings with filtering and pagination
+exports.getBuildings = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.campus) filter.campus = req.query.campus;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (campusScope.getCampus(req)) filter.campus = campusScope.getCampus(req);
+
+    const buildings = await Building.find(filter)
+      .populate('campus', 'name code')
+      .skip(skip)
+      .limit(limit)
+      .sort({ code: 1 });
+
+    const total = await Building.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: buildings,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching buildings'
+    });
+  }
+};
+
+// Get single building by ID, with its floors
+exports.getBuildingById = async (req, res) => {
+  try {
+    const building = await findBuilding(req, res);
+    if (!building) return;
+
+    await building.populate('campus', 'name code');
+    const floors = await Floor.find({ building: building._id }).sort({ level: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...building.toObject(),
+        floors
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching building'
+    });
+  }
+};
+
+// Update a building's name, code, description or status
+exports.updateBuilding = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const building = await findBuilding(req, res);
+    if (!building) return;
+
+    // Buildings cannot move between campuses; their rooms would go with them
+    const { name, code, description, isActive } = req.body;
+    if (name !== undefined) building.name = name;
+    if (code !== undefined) building.code = code;
+    if (description !== undefined) building.description = description;
+    if (isActive !== undefined) building.isActive = isActive;
+    await building.save();
+
+    res.status(200).json({
+      success: true,
+      data: building
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Building code already exists on this campus'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error updating building'
+    });
+  }
+};
+
+// Delete a building that has no floors
+exports.deleteBuilding = async (req, res) => {
+  try {
+    const building = await findBuilding(req, res);
+    if (!building) return;
+
+    const floorCount = await Floor.countDocuments({ building: building._id });
+    if (floorCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete building with floors. Please remove its floors first.'
+      });
+    }
+
+    await building.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error deleting building'
+    });
+  }
+};
+
+// Add a floor to a building
+exports.createFloor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const building = await findBuilding(req, res);
+    if (!building) return;
+
+    const floor = await Floor.create({
+      building: building._id,
+      campus: building.campus,
+      level: req.body.level,
+      name: req.body.name
+    });
+
+    res.status(201).json({
+      success: true,
+      data: floor
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Floor level already exists in this building'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error creating floor'
+    });
+  }
+};
+
+// Update a floor's level, name or status
+exports.updateFloor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const floor = await findFloor(req, res);
+    if (!floor) return;
+
+    const { level, name, isActive } = req.body;
+    if (level !== undefined) floor.level = level;
+    if (name !== undefined) floor.name = name;
+    if (isActive !== undefined) floor.isActive = isActive;
+    await floor.save();
+
+    res.status(200).json({
+      success: true,
+      data: floor
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Floor level already exists in this building'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error updating floor'
+    });
+  }
+};
+
+// Delete a floor that has no rooms or boardrooms
+exports.deleteFloor = async (req, res) => {
+  try {
+    const floor = await findFloor(req, res);
+    if (!floor) return;
+
+    const [roomCount, boardroomCount] = await Promise.all([
+      Room.countDocuments({ floor: floor._id }),
+      Boardroom.countDocuments({ floor: floor._id })
+    ]);
+    if (roomCount > 0 || boardroomCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete floor with rooms or boardrooms. Please move or remove them first.'
+      });
+    }
+
+    await floor.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error deleting floor'
+    });
+  }
+};
+
+// Get a campus with its buildings, floors and rooms (teaching rooms and
+// boardrooms) as a tree. Boardrooms not yet placed on a floor are listed
+// separately. Inactive entries are left out unless ?includeInactive=true.
+exports.getCampusTree = async (req, res) => {
+  try {
+    if (!campusScope.includes(req, req.params.id)) {
+      return outOfScope(res);
+    }
+
+    const campus = await Campus.findById(req.params.id);
+    if (!campus) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campus not found'
+      });
+    }
+
+    const filter = { campus: campus._id };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const [buildings, floors, rooms, boardrooms] = await Promise.all([
+      Building.find(filter).sort({ code: 1 }).lean(),
+      Floor.find(filter).sort({ level: 1 }).lean(),
+      Room.find(filter).sort({ code: 1 }).lean(),
+      Boardroom.find(filter).select('name code capacity status building floor isActive').sort({ code: 1 }).lean()
+    ]);
+
+    const roomsByFloor = {};
+    const addRoom = (floorId, room) => {
+      (roomsByFloor[floorId] = roomsByFloor[floorId] || []).push(room);
+    };
+    rooms.forEach(room => addRoom(room.floor, { ...room, kind: 'room' }));
+    boardrooms
+      .filter(boardroom => boardroom.floor)
+      .forEach(boardroom => addRoom(boardroom.floor, { ...boardroom, kind: 'boardroom' }));
+
+    const tree = {
+      ...campus.getSummary(),
+      buildings: buildings.map(building => ({
+        ...building,
+        floors: floors
+          .filter(floor => floor.building.equals(building._id))
+          .map(floor => ({
+            ...floor,
+            rooms: roomsByFloor[floor._id] || []
+          }))
+      })),
+      unplacedBoardrooms: boardrooms.filter(boardroom => !boardroom.floor)
+    };
+
+    res.status(200).json({
+      success: true,
+      data: tree
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching campus tree'
+    });
+  }
+};
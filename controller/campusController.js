@@ -1,6 +1,22 @@
+const mongoose = require('mongoose');
 const Campus = require('../model/Campus');
 const User = require('../model/User');
 const { validationResult } = require('express-validator');
+const campusScope = require('../services/campusScope');
+const campusDashboard = require('../services/campusDashboard');
+const campusMerge = require('../services/campusMerge');
+const timeZones = require('../services/timeZones');
+
+const MAX_DASHBOARD_RANGE_DAYS = parseInt(process.env.MAX_DASHBOARD_RANGE_DAYS) || 366;
+
+// Parse a date query value in the campus's time zone; a date without a time
+// covers the whole day, and a time without an offset is campus-local
+const parseRangeDate = (value, edge, timeZone) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return timeZones.getDayBounds(value, timeZone)[edge];
+  }
+  return timeZones.parseDateTime(value, timeZone);
+};
 
 // Create a new campus
 exports.createCampus = async (req, res) => {
@@ -43,6 +59,7 @@ exports.getCampuses = async (req, res) => {
     const filter = {};
     if (req.query.province) filter.province = req.query.province;
     if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (campusScope.getCampus(req)) filter._id = campusScope.getCampus(req);
 
     const campuses = await Campus.find(filter)
       .skip(skip)
@@ -71,6 +88,13 @@ exports.getCampuses = async (req, res) => {
 // Get single campus by ID
 exports.getCampusById = async (req, res) => {
   try {
+    if (!campusScope.includes(req, req.params.id)) {
+      return res.status(403).json({
+        success: false,
+        error: campusScope.OUT_OF_SCOPE_ERROR
+      });
+    }
+
     const campus = await Campus.findById(req.params.id);
     
     if (!campus) {
@@ -137,16 +161,17 @@ exports.updateCampus = async (req, res) => {
 // Delete campus
 exports.deleteCampus = async (req, res) => {
   try {
-    // Check if there are any users associated with this campus
-    const userCount = await User.countDocuments({ campus: req.params.id });
+    // Check if there are any users associated with this campus (including
+    // users in the trash, which keep their campus reference)
+    const userCount = await User.countDocuments({ campus: req.params.id }).withDeleted();
     if (userCount > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Cannot delete campus with associated users. Please reassign or remove users first.'
+        error: 'Cannot delete campus with associated users. Please reassign or remove users first, or merge the campus into another.'
       });
     }
 
-    const campus = await Campus.findByIdAndDelete(req.params.id);
+    const campus = await Campus.findById(req.params.id);
 
     if (!campus) {
       return res.status(404).json({
@@ -155,6 +180,8 @@ exports.deleteCampus = async (req, res) => {
       });
     }
 
+    await campus.softDelete(req.user._id);
+
     res.status(200).json({
       success: true,
       data: {}
@@ -167,6 +194,65 @@ exports.deleteCampus = async (req, res) => {
   }
 };
 
+// Get deleted campuses (trash)
+exports.getDeletedCampuses = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const campuses = await Campus.find()
+      .onlyDeleted()
+      .populate('deletedBy', 'firstName lastName email')
+      .skip(skip)
+      .limit(limit)
+      .sort({ deletedAt: -1 });
+
+    const total = await Campus.countDocuments().onlyDeleted();
+
+    res.status(200).json({
+      success: true,
+      data: campuses,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching deleted campuses'
+    });
+  }
+};
+
+// Restore a deleted campus
+exports.restoreCampus = async (req, res) => {
+  try {
+    const campus = await Campus.findById(req.params.id).onlyDeleted();
+
+    if (!campus) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deleted campus not found'
+      });
+    }
+
+    await campus.restore();
+
+    res.status(200).json({
+      success: true,
+      data: campus
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error restoring campus'
+    });
+  }
+};
+
 // Toggle campus active status
 exports.toggleCampusStatus = async (req, res) => {
   try {
@@ -200,6 +286,13 @@ exports.toggleCampusStatus = async (req, res) => {
 exports.getCampusStats = async (req, res) => {
   try {
     const campusId = req.params.id;
+
+    if (!campusScope.includes(req, campusId)) {
+      return res.status(403).json({
+        success: false,
+        error: campusScope.OUT_OF_SCOPE_ERROR
+      });
+    }
     
     // Verify campus exists
     const campus = await Campus.findById(campusId);
@@ -212,7 +305,7 @@ exports.getCampusStats = async (req, res) => {
 
     // Get user counts by role
     const userStats = await User.aggregate([
-      { $match: { campus: campusId } },
+      { $match: { campus: new mongoose.Types.ObjectId(campusId) } },
       { $group: {
           _id: '$role',
           count: { $sum: 1 }
@@ -262,13 +355,18 @@ exports.searchCampuses = async (req, res) => {
       });
     }
 
-    const campuses = await Campus.find({
+    const filter = {
       $or: [
         { name: { $regex: query, $options: 'i' } },
         { code: { $regex: query, $options: 'i' } },
         { province: { $regex: query, $options: 'i' } }
       ]
-    }).limit(10);
+    };
+    if (campusScope.getCampus(req)) {
+      filter._id = campusScope.getCampus(req);
+    }
+
+    const campuses = await Campus.find(filter).limit(10);
 
     res.status(200).json({
       success: true,
@@ -281,3 +379,141 @@ exports.searchCampuses = async (req, res) => {
     });
   }
 };
+
+// Get an operations dashboard for a campus. ?startDate and ?endDate set the
+// reporting range (default: today), read in the campus's time zone.
+exports.getCampusDashboard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!campusScope.includes(req, req.params.id)) {
+      return res.status(403).json({
+        success: false,
+        error: campusScope.OUT_OF_SCOPE_ERROR
+      });
+    }
+
+    const campus = await Campus.findById(req.params.id);
+    if (!campus) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campus not found'
+      });
+    }
+
+    const timeZone = campus.timeZone || timeZones.DEFAULT_TIME_ZONE;
+    const today = timeZones.getDayBounds(timeZones.toDateKey(new Date(), timeZone), timeZone);
+    const start = req.query.startDate ? parseRangeDate(req.query.startDate, 'start', timeZone) : today.start;
+    const end = req.query.endDate ? parseRangeDate(req.query.endDate, 'end', timeZone) : today.end;
+
+    if (end < start) {
+      return res.status(400).json({
+        success: false,
+        error: 'End date must be after start date'
+      });
+    }
+
+    if (end - start > MAX_DASHBOARD_RANGE_DAYS * 86400000) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${MAX_DASHBOARD_RANGE_DAYS} days`
+      });
+    }
+
+    const dashboard = await campusDashboard.buildDashboard(campus, { start, end });
+
+    res.status(200).json({
+      success: true,
+      data: dashboard
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching campus dashboard'
+    });
+  }
+};
+
+// Merge a campus into another (the source goes to the trash) or retire it
+// (the source is kept, inactive). Users, course offerings, boardrooms (with
+// their bookings and maintenance), buildings, floors, rooms and API keys move
+// to the target campus in one transaction. With preview=true only the counts,
+// conflicts and warnings are returned.
+exports.mergeCampus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { targetCampus, mode = 'merge', preview = false, renameConflicts = false } = req.body;
+
+    if (targetCampus === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'A campus cannot be merged into itself'
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Campus.findById(req.params.id),
+      Campus.findById(targetCampus)
+    ]);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campus not found'
+      });
+    }
+
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        error: 'Target campus not found'
+      });
+    }
+
+    const plan = await campusMerge.planMerge(source, target, { rename: renameConflicts });
+
+    if (preview) {
+      return res.status(200).json({
+        success: true,
+        data: { mode, ...plan }
+      });
+    }
+
+    if (!plan.canProceed) {
+      return res.status(409).json({
+        success: false,
+        error: 'The campuses have conflicts that must be resolved first',
+        data: { mode, ...plan }
+      });
+    }
+
+    await campusMerge.executeMerge(source, target, plan, {
+      retire: mode === 'retire',
+      userId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { mode, ...plan }
+    });
+  } catch (error) {
+    // A code was added after the plan was made; nothing has been moved
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'The campuses have new conflicts; preview the merge again'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error merging campus'
+    });
+  }
+};
@@ -0,0 +1,248 @@
+const CampusClosure = require('../model/CampusClosure');
+const Campus = require('../model/Campus');
+const { validationResult } = require('express-validator');
+const campusScope = require('../services/campusScope');
+const closures = require('../services/closures');
+
+// Check the campus in req.params.id is reachable and exists; sends the error
+// response and returns null otherwise
+const findCampus = async (req, res) => {
+  if (!campusScope.includes(req, req.params.id)) {
+    res.status(403).json({
+      success: false,
+      error: campusScope.OUT_OF_SCOPE_ERROR
+    });
+    return null;
+  }
+
+  const campus = await Campus.findById(req.params.id);
+  if (!campus) {
+    res.status(404).json({
+      success: false,
+      error: 'Campus not found'
+    });
+    return null;
+  }
+
+  return campus;
+};
+
+// Find the closure in req.params.closureId on the campus in req.params.id
+const findClosure = async (req, res) => {
+  const campus = await findCampus(req, res);
+  if (!campus) return null;
+
+  const closure = await CampusClosure.findOne({ _id: req.params.closureId, campus: campus._id });
+  if (!closure) {
+    res.status(404).json({
+      success: false,
+      error: 'Closure not found'
+    });
+    return null;
+  }
+
+  return closure;
+};
+
+// Add a closure, holiday or exam period to a campus calendar
+exports.createClosure = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const campus = await findCampus(req, res);
+    if (!campus) return;
+
+    const { name, type, startDate, endDate, recurrence, closed, description } = req.body;
+    const closure = await CampusClosure.create({
+      campus: campus._id,
+      name,
+      type,
+      startDate,
+      endDate: endDate || startDate,
+      recurrence,
+      closed,
+      description
+    });
+
+    res.status(201).json({
+      success: true,
+      data: closure
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error creating closure'
+    });
+  }
+};
+
+// Get a campus calendar. With ?from and ?to (YYYY-MM-DD) the response also
+// lists the closures falling on each date in that range.
+exports.getClosures = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const campus = await findCampus(req, res);
+    if (!campus) return;
+
+    const filter = { campus: campus._id };
+    if (req.query.type) filter.type = req.query.type;
+
+    const entries = await CampusClosure.find(filter).sort({ startDate: 1 });
+
+    const data = { closures: entries };
+    if (req.query.from && req.query.to) {
+      const calendar = await closures.getCalendar(campus._id, req.query.from, req.query.to);
+      data.calendar = Object.entries(calendar).map(([date, matching]) => ({
+        date,
+        closed: matching.some(closure => closure.closed),
+        closures: matching
+          .filter(closure => !req.query.type || closure.type === req.query.type)
+          .map(closure => ({ _id: closure._id, name: closure.name, type: closure.type, closed: closure.closed }))
+      })).filter(day => day.closures.length > 0);
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching closures'
+    });
+  }
+};
+
+// Update a closure
+exports.updateClosure = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const closure = await findClosure(req, res);
+    if (!closure) return;
+
+    for (const field of ['name', 'type', 'startDate', 'endDate', 'recurrence', 'closed', 'description']) {
+      if (req.body[field] !== undefined) closure[field] = req.body[field];
+    }
+    // An explicit value is kept even when it equals the current one, so a
+    // type change does not reset it (see the model's pre-validate hook)
+    if (req.body.closed !== undefined) closure.markModified('closed');
+    await closure.save();
+
+    res.status(200).json({
+      success: true,
+      data: closure
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error updating closure'
+    });
+  }
+};
+
+// Delete a closure
+exports.deleteClosure = async (req, res) => {
+  try {
+    const closure = await findClosure(req, res);
+    if (!closure) return;
+
+    await closure.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error deleting closure'
+    });
+  }
+};
+
+// Import holidays from an iCalendar (.ics) body. Entries get ?type
+// (default public_holiday); re-importing the same file updates entries by UID.
+exports.importClosures = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const campus = await findCampus(req, res);
+    if (!campus) return;
+
+    if (typeof req.body !== 'string' || !req.body.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body must be an iCalendar document (Content-Type: text/calendar)'
+      });
+    }
+
+    const type = req.query.type || 'public_holiday';
+    const { events, errors: parseErrors } = closures.parseICalendar(req.body);
+    const result = {
+      created: 0,
+      updated: 0,
+      errors: parseErrors
+    };
+
+    for (const event of events) {
+      // Events without a UID are matched on their date and name
+      const importUid = event.uid || `${event.startDate}:${event.name}`;
+      try {
+        let closure = await CampusClosure.findOne({ campus: campus._id, importUid });
+        const isNew = !closure;
+        if (isNew) {
+          closure = new CampusClosure({ campus: campus._id, importUid, type });
+        }
+
+        closure.set({
+          name: event.name,
+          description: event.description,
+          startDate: event.startDate,
+          endDate: event.endDate,
+          recurrence: event.recurrence
+        });
+        await closure.save();
+
+        result[isNew ? 'created' : 'updated']++;
+      } catch (error) {
+        result.errors.push({ uid: event.uid, error: error.message });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error importing closures'
+    });
+  }
+};
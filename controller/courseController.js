@@ -1,6 +1,93 @@
 const Course = require('../model/Course');
+const Room = require('../model/Room');
+const Campus = require('../model/Campus');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const campusScope = require('../services/campusScope');
+const closures = require('../services/closures');
+const timeZones = require('../services/timeZones');
+
+// Response for a campus outside the one the caller is limited to
+const outOfScope = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: campusScope.OUT_OF_SCOPE_ERROR
+  });
+};
+
+// Whether the course is offered on the campus the caller is limited to
+const isOfferedInScope = (req, course) => {
+  return !campusScope.getCampus(req) ||
+    course.campuses.some(offering => campusScope.includes(req, offering.campus._id || offering.campus));
+};
+
+// Next occurrence (from today, within the offering's dates) of a weekly
+// session as UTC/local start and end, or null when none is left
+const getNextOccurrence = (offering, session, timeZone) => {
+  const today = timeZones.toDateKey(new Date(), timeZone);
+  const startKey = timeZones.toDateKey(offering.startDate, timeZone);
+  const endKey = timeZones.toDateKey(offering.endDate, timeZone);
+
+  let date = startKey > today ? startKey : today;
+  for (let offset = 0; offset <= 7 && date <= endKey; offset++, date = closures.addDays(date, 1)) {
+    if (closures.getDayName(date) !== session.day) continue;
+    const startsAt = timeZones.fromLocal(date, session.startTime, timeZone);
+    if (date === today && startsAt < new Date()) continue;
+    return {
+      date,
+      startsAt: timeZones.describe(startsAt, timeZone),
+      endsAt: timeZones.describe(timeZones.fromLocal(date, session.endTime, timeZone), timeZone)
+    };
+  }
+  return null;
+};
+
+// A course as sent to clients: offering dates and the next occurrence of
+// each scheduled session are added as UTC/local pairs in the campus's zone
+const withLocalTimes = async (course) => {
+  const courseObject = course.toObject();
+  const zones = {};
+
+  for (const offering of courseObject.campuses || []) {
+    const campusId = (offering.campus._id || offering.campus).toString();
+    if (!zones[campusId]) {
+      zones[campusId] = offering.campus.timeZone || await Campus.getTimeZone(campusId);
+    }
+    const timeZone = zones[campusId];
+
+    offering.timeZone = timeZone;
+    offering.startsAt = timeZones.describe(offering.startDate, timeZone);
+    offering.endsAt = timeZones.describe(offering.endDate, timeZone);
+    for (const session of offering.schedule || []) {
+      session.nextOccurrence = getNextOccurrence(offering, session, timeZone);
+    }
+  }
+  return courseObject;
+};
+
+const withLocalTimesAll = (courses) => Promise.all(courses.map(withLocalTimes));
+
+// Check that the schedule rooms of an offering exist, are active and are on
+// the offering's campus; returns an error message, or null when valid
+const checkScheduleRooms = async (offering) => {
+  const roomIds = (offering.schedule || [])
+    .map(session => session.room)
+    .filter(Boolean)
+    .map(room => room.toString());
+  if (roomIds.length === 0) return null;
+
+  const rooms = await Room.find({ _id: { $in: roomIds }, isActive: true }).select('campus');
+  for (const roomId of new Set(roomIds)) {
+    const room = rooms.find(candidate => candidate._id.toString() === roomId);
+    if (!room) {
+      return `Room not found: ${roomId}`;
+    }
+    if (room.campus.toString() !== String(offering.campus)) {
+      return `Room ${roomId} is not on the offering's campus`;
+    }
+  }
+  return null;
+};
 
 // Create a new course
 exports.createCourse = async (req, res) => {
@@ -10,12 +97,22 @@ exports.createCourse = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    for (const offering of req.body.campuses || []) {
+      const roomError = await checkScheduleRooms(offering);
+      if (roomError) {
+        return res.status(400).json({
+          success: false,
+          error: roomError
+        });
+      }
+    }
+
     const course = new Course(req.body);
     await course.save();
     
     res.status(201).json({
       success: true,
-      data: course
+      data: await withLocalTimes(course)
     });
   } catch (error) {
     if (error.code === 11000) {
@@ -50,6 +147,12 @@ exports.getCourses = async (req, res) => {
     if (department) query.department = department;
     if (level) query.level = level;
     if (campus) query['campuses.campus'] = campus;
+    if (campusScope.getCampus(req)) {
+      if (campus && !campusScope.includes(req, campus)) {
+        return outOfScope(res);
+      }
+      query['campuses.campus'] = campusScope.getCampus(req);
+    }
     if (instructor) query['campuses.instructor'] = instructor;
     if (semester && year) {
       query['campuses.semester'] = semester;
@@ -57,8 +160,9 @@ exports.getCourses = async (req, res) => {
     }
 
     const courses = await Course.find(query)
-      .populate('campuses.campus', 'name code')
+      .populate('campuses.campus', 'name code timeZone')
       .populate('campuses.instructor', 'firstName lastName email')
+      .populate('campuses.schedule.room', 'name code building floor')
       .populate('prerequisites', 'code name')
       .skip((page - 1) * limit)
       .limit(parseInt(limit))
@@ -68,7 +172,7 @@ exports.getCourses = async (req, res) => {
 
     res.json({
       success: true,
-      data: courses,
+      data: await withLocalTimesAll(courses),
       pagination: {
         total,
         page: parseInt(page),
@@ -87,8 +191,9 @@ exports.getCourses = async (req, res) => {
 exports.getCourseById = async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
-      .populate('campuses.campus', 'name code')
+      .populate('campuses.campus', 'name code timeZone')
       .populate('campuses.instructor', 'firstName lastName email')
+      .populate('campuses.schedule.room', 'name code building floor')
       .populate('prerequisites', 'code name');
 
     if (!course) {
@@ -98,9 +203,13 @@ exports.getCourseById = async (req, res) => {
       });
     }
 
+    if (!isOfferedInScope(req, course)) {
+      return outOfScope(res);
+    }
+
     res.json({
       success: true,
-      data: course
+      data: await withLocalTimes(course)
     });
   } catch (error) {
     res.status(500).json({
@@ -118,12 +227,23 @@ exports.updateCourse = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    for (const offering of req.body.campuses || []) {
+      const roomError = await checkScheduleRooms(offering);
+      if (roomError) {
+        return res.status(400).json({
+          success: false,
+          error: roomError
+        });
+      }
+    }
+
     const course = await Course.findByIdAndUpdate(
       req.params.id,
       { $set: req.body },
       { new: true, runValidators: true }
-    ).populate('campuses.campus', 'name code')
+    ).populate('campuses.campus', 'name code timeZone')
      .populate('campuses.instructor', 'firstName lastName email')
+     .populate('campuses.schedule.room', 'name code building floor')
      .populate('prerequisites', 'code name');
 
     if (!course) {
@@ -135,7 +255,7 @@ exports.updateCourse = async (req, res) => {
 
     res.json({
       success: true,
-      data: course
+      data: await withLocalTimes(course)
     });
   } catch (error) {
     if (error.code === 11000) {
@@ -172,7 +292,7 @@ exports.deleteCourse = async (req, res) => {
       });
     }
 
-    await course.remove();
+    await course.softDelete(req.user._id);
 
     res.json({
       success: true,
@@ -186,6 +306,65 @@ exports.deleteCourse = async (req, res) => {
   }
 };
 
+// Get deleted courses (trash)
+exports.getDeletedCourses = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const courses = await Course.find()
+      .onlyDeleted()
+      .populate('deletedBy', 'firstName lastName email')
+      .skip(skip)
+      .limit(limit)
+      .sort({ deletedAt: -1 });
+
+    const total = await Course.countDocuments().onlyDeleted();
+
+    res.json({
+      success: true,
+      data: await withLocalTimesAll(courses),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Restore a deleted course
+exports.restoreCourse = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).onlyDeleted();
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deleted course not found'
+      });
+    }
+
+    await course.restore();
+
+    res.json({
+      success: true,
+      data: await withLocalTimes(course)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 // Add campus offering to course
 exports.addCampusOffering = async (req, res) => {
   try {
@@ -194,6 +373,10 @@ exports.addCampusOffering = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    if (!campusScope.includes(req, req.body.campus)) {
+      return outOfScope(res);
+    }
+
     const course = await Course.findById(req.params.id);
     if (!course) {
       return res.status(404).json({
@@ -217,12 +400,20 @@ exports.addCampusOffering = async (req, res) => {
       });
     }
 
+    const roomError = await checkScheduleRooms(req.body);
+    if (roomError) {
+      return res.status(400).json({
+        success: false,
+        error: roomError
+      });
+    }
+
     course.campuses.push(req.body);
     await course.save();
 
     res.status(201).json({
       success: true,
-      data: course
+      data: await withLocalTimes(course)
     });
   } catch (error) {
     res.status(500).json({
@@ -261,16 +452,31 @@ exports.updateCampusOffering = async (req, res) => {
       });
     }
 
-    course.campuses[offeringIndex] = {
+    if (!campusScope.includes(req, course.campuses[offeringIndex].campus) ||
+        (req.body.campus && !campusScope.includes(req, req.body.campus))) {
+      return outOfScope(res);
+    }
+
+    const offering = {
       ...course.campuses[offeringIndex].toObject(),
       ...req.body
     };
 
+    const roomError = await checkScheduleRooms(offering);
+    if (roomError) {
+      return res.status(400).json({
+        success: false,
+        error: roomError
+      });
+    }
+
+    course.campuses[offeringIndex] = offering;
+
     await course.save();
 
     res.json({
       success: true,
-      data: course
+      data: await withLocalTimes(course)
     });
   } catch (error) {
     res.status(500).json({
@@ -301,6 +507,10 @@ exports.removeCampusOffering = async (req, res) => {
       });
     }
 
+    if (!campusScope.includes(req, offering.campus)) {
+      return outOfScope(res);
+    }
+
     if (offering.enrolled > 0) {
       return res.status(400).json({
         success: false,
@@ -313,7 +523,7 @@ exports.removeCampusOffering = async (req, res) => {
 
     res.json({
       success: true,
-      data: course
+      data: await withLocalTimes(course)
     });
   } catch (error) {
     res.status(500).json({
@@ -334,21 +544,26 @@ exports.searchCourses = async (req, res) => {
       });
     }
 
-    const courses = await Course.find({
+    const filter = {
       $or: [
         { code: { $regex: query, $options: 'i' } },
         { name: { $regex: query, $options: 'i' } },
         { description: { $regex: query, $options: 'i' } }
       ],
       isActive: true
-    })
-    .populate('campuses.campus', 'name code')
+    };
+    if (campusScope.getCampus(req)) {
+      filter['campuses.campus'] = campusScope.getCampus(req);
+    }
+
+    const courses = await Course.find(filter)
+    .populate('campuses.campus', 'name code timeZone')
     .populate('campuses.instructor', 'firstName lastName email')
     .limit(10);
 
     res.json({
       success: true,
-      data: courses
+      data: await withLocalTimesAll(courses)
     });
   } catch (error) {
     res.status(500).json({
@@ -370,6 +585,10 @@ exports.getCourseStats = async (req, res) => {
       });
     }
 
+    if (!isOfferedInScope(req, course)) {
+      return outOfScope(res);
+    }
+
     const stats = {
       totalOfferings: course.campuses.length,
       activeOfferings: course.campuses.filter(o => o.isActive).length,
@@ -397,4 +616,50 @@ exports.getCourseStats = async (req, res) => {
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+}; 
+
+// Get the scheduled sessions of an offering that fall on campus closures,
+// holidays or exam periods
+exports.getOfferingClosures = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    const offering = course.campuses.id(req.params.offeringId);
+    if (!offering) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campus offering not found'
+      });
+    }
+
+    if (!campusScope.includes(req, offering.campus)) {
+      return outOfScope(res);
+    }
+
+    const sessions = await closures.getAffectedSessions(offering);
+
+    res.json({
+      success: true,
+      data: {
+        offering: offering._id,
+        campus: offering.campus,
+        timeZone: await Campus.getTimeZone(offering.campus),
+        affectedSessions: sessions.length,
+        cancelledSessions: sessions.filter(session => session.cancelled).length,
+        sessions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,97 @@
+const User = require('../model/User');
+const Impersonation = require('../model/Impersonation');
+const { validationResult } = require('express-validator');
+const tokens = require('../services/tokens');
+const campusScope = require('../services/campusScope');
+
+const IMPERSONATION_EXPIRES_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 15;
+
+// Start acting as another user; returns a short-lived token for that user
+exports.startImpersonation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const target = await User.findById(req.params.id).populate('campus', 'name code province');
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (target._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot impersonate yourself'
+      });
+    }
+
+    if (campusScope.GLOBAL_ROLES.includes(target.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Administrators cannot be impersonated'
+      });
+    }
+
+    if (!target.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
+
+    const impersonation = await Impersonation.create({
+      actor: req.user._id,
+      target: target._id,
+      session: req.sessionId,
+      reason: req.body.reason,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      expiresAt: new Date(Date.now() + IMPERSONATION_EXPIRES_MINUTES * 60000)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        impersonationId: impersonation._id,
+        expiresAt: impersonation.expiresAt,
+        user: target.getPublicProfile()
+      },
+      token: tokens.signImpersonationToken(target, impersonation)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error starting impersonation'
+    });
+  }
+};
+
+// End the impersonation the current token belongs to
+exports.endImpersonation = async (req, res) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are not impersonating another user'
+      });
+    }
+
+    req.impersonation.endedAt = new Date();
+    await req.impersonation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error ending impersonation'
+    });
+  }
+};
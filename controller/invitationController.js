@@ -0,0 +1,272 @@
+const User = require('../model/User');
+const Campus = require('../model/Campus');
+const { validationResult } = require('express-validator');
+const emailer = require('../services/emailer');
+const tokens = require('../services/tokens');
+const campusScope = require('../services/campusScope');
+const passwordPolicy = require('../services/passwordPolicy');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const INVITATION_EXPIRES_DAYS = parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7;
+
+// Filter matching invitations that have not been accepted yet
+const PENDING_FILTER = {
+  'invitation.sentAt': { $ne: null },
+  'invitation.acceptedAt': null
+};
+
+// Issue a new invitation token (replacing any earlier one) and email the link
+const sendInvitation = async (user, invitedBy) => {
+  const { token, hash } = tokens.generateOpaqueToken();
+  user.invitation.tokenHash = hash;
+  user.invitation.expiresAt = new Date(Date.now() + INVITATION_EXPIRES_DAYS * 86400000);
+  user.invitation.sentAt = new Date();
+  await user.save();
+
+  const emailBody = await emailer.renderTemplate('invitationTemplate.html', {
+    'User Name': user.firstName + " " + user.lastName,
+    'Invited By': invitedBy.firstName + " " + invitedBy.lastName,
+    'Invitation Link': `${APP_URL}/accept-invitation?token=${token}`,
+    'Expiry Days': INVITATION_EXPIRES_DAYS
+  });
+  await emailer.sendReviewHtmlBody(user.email, emailBody, 'Invitation to Smart Campus Portal');
+};
+
+// Summary of an invitation for admin listings
+const getInvitationSummary = (user) => {
+  return {
+    _id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    campus: user.campus,
+    invitedBy: user.invitation.invitedBy,
+    sentAt: user.invitation.sentAt,
+    expiresAt: user.invitation.expiresAt,
+    isExpired: user.invitation.expiresAt <= new Date()
+  };
+};
+
+// Find a pending invitation the request may manage; sends the error response
+// and returns null otherwise
+const findPendingInvitation = async (req, res) => {
+  const user = await User.findOne({ _id: req.params.id, ...PENDING_FILTER });
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: 'Invitation not found'
+    });
+    return null;
+  }
+
+  const scopeError = campusScope.getUserError(req, user);
+  if (scopeError) {
+    res.status(403).json({
+      success: false,
+      error: scopeError
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Invite a new user: create a pending account and email an invitation link
+exports.createInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const scopeError = campusScope.getUserError(req, req.body);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
+    // Verify campus exists
+    const campus = await Campus.findById(req.body.campus);
+    if (!campus) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campus ID'
+      });
+    }
+
+    const { email, firstName, lastName, role, department, identification } = req.body;
+
+    const user = new User({
+      email,
+      firstName,
+      lastName,
+      role,
+      campus: campus._id,
+      department,
+      identification,
+      emailVerified: false,
+      invitation: {
+        invitedBy: req.user._id
+      }
+    });
+
+    // The account is saved either way; a failed email can be resent
+    try {
+      await sendInvitation(user, req.user);
+    } catch (error) {
+      if (user.isNew) throw error;
+      console.log('Error sending invitation email:', error);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: getInvitationSummary(user)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error creating invitation'
+    });
+  }
+};
+
+// Get outstanding invitations with pagination (?status=pending|expired)
+exports.getInvitations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { ...PENDING_FILTER };
+    if (req.query.status === 'pending') filter['invitation.expiresAt'] = { $gt: new Date() };
+    if (req.query.status === 'expired') filter['invitation.expiresAt'] = { $lte: new Date() };
+    if (req.query.campus) filter.campus = req.query.campus;
+    if (campusScope.getCampus(req)) filter.campus = campusScope.getCampus(req);
+
+    const users = await User.find(filter)
+      .populate('campus', 'name code')
+      .populate('invitation.invitedBy', 'firstName lastName email')
+      .skip(skip)
+      .limit(limit)
+      .sort({ 'invitation.sentAt': -1 });
+
+    const total = await User.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: users.map(getInvitationSummary),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching invitations'
+    });
+  }
+};
+
+// Send a fresh invitation link; earlier links stop working
+exports.resendInvitation = async (req, res) => {
+  try {
+    const user = await findPendingInvitation(req, res);
+    if (!user) return;
+
+    user.invitation.invitedBy = req.user._id;
+    await sendInvitation(user, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: getInvitationSummary(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error resending invitation'
+    });
+  }
+};
+
+// Revoke an invitation, moving the pending account to the trash
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const user = await findPendingInvitation(req, res);
+    if (!user) return;
+
+    // The link stops working even if the account is restored later
+    user.invitation.tokenHash = undefined;
+    await user.softDelete(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error revoking invitation'
+    });
+  }
+};
+
+// Accept an invitation by choosing a password
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      ...PENDING_FILTER,
+      'invitation.tokenHash': tokens.hashToken(token),
+      'invitation.expiresAt': { $gt: new Date() }
+    }).select('+passwordHistory');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired invitation'
+      });
+    }
+
+    const violations = passwordPolicy.checkRules(password, user);
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicy.toErrorResponse(violations));
+    }
+
+    user.password = password;
+    user.invitation.tokenHash = undefined;
+    user.invitation.acceptedAt = new Date();
+
+    // The link was delivered by email, so the address is proven
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted. You can now log in'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error accepting invitation'
+    });
+  }
+};
@@ -1,6 +1,27 @@
 const Maintenance = require('../model/Maintenance');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const campusScope = require('../services/campusScope');
+const { can } = require('../config/permissions');
+const notifications = require('../services/notifications');
+
+// Response for a boardroom outside the campus the caller is limited to
+const outOfScope = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: campusScope.OUT_OF_SCOPE_ERROR
+  });
+};
+
+// Notify the people following a request of a status change; the change is
+// saved either way
+const sendStatusNotifications = async (maintenance, req) => {
+  try {
+    await notifications.notifyMaintenanceStatus(maintenance, req.user._id);
+  } catch (error) {
+    console.log('Error sending maintenance status notification:', error);
+  }
+};
 
 // Create a new maintenance request
 exports.createMaintenance = async (req, res) => {
@@ -10,6 +31,10 @@ exports.createMaintenance = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    if (!(await campusScope.includesBoardroom(req, req.body.boardroom))) {
+      return outOfScope(res);
+    }
+
     const maintenance = new Maintenance({
       ...req.body,
       reportedBy: req.user.id // Assuming user is authenticated
@@ -51,6 +76,12 @@ exports.getMaintenanceRequests = async (req, res) => {
     if (type) query.type = type;
     if (priority) query.priority = priority;
     if (boardroom) query.boardroom = boardroom;
+    if (campusScope.getCampus(req)) {
+      if (boardroom && !(await campusScope.includesBoardroom(req, boardroom))) {
+        return outOfScope(res);
+      }
+      if (!boardroom) query.boardroom = { $in: await campusScope.getBoardroomIds(req) };
+    }
     if (assignedTo) query.assignedTo = assignedTo;
     if (reportedBy) query.reportedBy = reportedBy;
     if (startDate && endDate) {
@@ -104,6 +135,10 @@ exports.getMaintenanceById = async (req, res) => {
       });
     }
 
+    if (!(await campusScope.includesBoardroom(req, maintenance.boardroom))) {
+      return outOfScope(res);
+    }
+
     res.json({
       success: true,
       data: maintenance
@@ -124,6 +159,16 @@ exports.updateMaintenance = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    if (campusScope.getCampus(req)) {
+      const existing = await Maintenance.findById(req.params.id).select('boardroom');
+      if (existing && !(await campusScope.includesBoardroom(req, existing.boardroom))) {
+        return outOfScope(res);
+      }
+      if (req.body.boardroom && !(await campusScope.includesBoardroom(req, req.body.boardroom))) {
+        return outOfScope(res);
+      }
+    }
+
     const maintenance = await Maintenance.findByIdAndUpdate(
       req.params.id,
       { $set: req.body },
@@ -163,6 +208,10 @@ exports.deleteMaintenance = async (req, res) => {
       });
     }
 
+    if (!(await campusScope.includesBoardroom(req, maintenance.boardroom))) {
+      return outOfScope(res);
+    }
+
     // Only allow deletion of pending or cancelled requests
     if (!['pending', 'cancelled'].includes(maintenance.status)) {
       return res.status(400).json({
@@ -199,6 +248,10 @@ exports.assignMaintenance = async (req, res) => {
       });
     }
 
+    if (!(await campusScope.includesBoardroom(req, maintenance.boardroom))) {
+      return outOfScope(res);
+    }
+
     if (maintenance.status !== 'pending') {
       return res.status(400).json({
         success: false,
@@ -210,6 +263,7 @@ exports.assignMaintenance = async (req, res) => {
     maintenance.estimatedCompletion = estimatedCompletion;
     maintenance.status = 'assigned';
     await maintenance.save();
+    await sendStatusNotifications(maintenance, req);
 
     res.json({
       success: true,
@@ -236,6 +290,10 @@ exports.updateStatus = async (req, res) => {
       });
     }
 
+    if (!(await campusScope.includesBoardroom(req, maintenance.boardroom))) {
+      return outOfScope(res);
+    }
+
     // Validate status transition
     const validTransitions = {
       pending: ['assigned', 'cancelled'],
@@ -255,6 +313,7 @@ exports.updateStatus = async (req, res) => {
     maintenance.status = status;
     if (resolution) maintenance.resolution = resolution;
     await maintenance.save();
+    await sendStatusNotifications(maintenance, req);
 
     res.json({
       success: true,
@@ -281,6 +340,18 @@ exports.addNote = async (req, res) => {
       });
     }
 
+    if (!(await campusScope.includesBoardroom(req, maintenance.boardroom))) {
+      return outOfScope(res);
+    }
+
+    // Users who cannot read maintenance requests may only comment on their own
+    if (!can(req.user.role, 'maintenance:read') && !maintenance.reportedBy.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to perform this action'
+      });
+    }
+
     maintenance.notes.push({
       content,
       addedBy: req.user.id // Assuming user is authenticated
@@ -313,6 +384,10 @@ exports.updateCost = async (req, res) => {
       });
     }
 
+    if (!(await campusScope.includesBoardroom(req, maintenance.boardroom))) {
+      return outOfScope(res);
+    }
+
     if (maintenance.status !== 'in_progress') {
       return res.status(400).json({
         success: false,
@@ -354,6 +429,10 @@ exports.getMaintenanceStats = async (req, res) => {
       });
     }
 
+    if (!(await campusScope.includesBoardroom(req, boardroom))) {
+      return outOfScope(res);
+    }
+
     const stats = await Maintenance.getStats(boardroom);
 
     res.json({
@@ -371,7 +450,12 @@ exports.getMaintenanceStats = async (req, res) => {
 // Get overdue maintenance
 exports.getOverdueMaintenance = async (req, res) => {
   try {
-    const maintenance = await Maintenance.findOverdue()
+    const query = Maintenance.findOverdue();
+    if (campusScope.getCampus(req)) {
+      query.where({ boardroom: { $in: await campusScope.getBoardroomIds(req) } });
+    }
+
+    const maintenance = await query
       .populate('boardroom', 'name code')
       .populate('assignedTo', 'firstName lastName email');
 
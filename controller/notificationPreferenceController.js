@@ -0,0 +1,101 @@
+const User = require('../model/User');
+const { validationResult } = require('express-validator');
+const tokens = require('../services/tokens');
+const notifications = require('../services/notifications');
+const notificationConfig = require('../config/notifications');
+
+// Get the authenticated user's notification preferences
+exports.getPreferences = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: notifications.getPreferences(req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching notification preferences'
+    });
+  }
+};
+
+// Update some or all of the authenticated user's notification preferences
+exports.updatePreferences = async (req, res) => {
+  try {
+    const problems = notifications.validateUpdate(req.body);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid notification preferences',
+        details: problems
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    notifications.applyUpdate(user, req.body);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: notifications.getPreferences(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error updating notification preferences'
+    });
+  }
+};
+
+// Turn off notification emails using the token from an email's unsubscribe link
+exports.unsubscribe = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let payload;
+    try {
+      payload = tokens.verifyUnsubscribeToken(req.body.token);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid unsubscribe link'
+      });
+    }
+
+    const user = await User.findById(payload.sub);
+    const category = payload.category;
+
+    if (!user || (category && !notificationConfig.CATEGORIES.includes(category))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid unsubscribe link'
+      });
+    }
+
+    notifications.unsubscribe(user, category);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: category
+        ? `You will no longer receive ${category} notification emails`
+        : 'You will no longer receive notification emails',
+      data: notifications.getPreferences(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error unsubscribing'
+    });
+  }
+};
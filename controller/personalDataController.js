@@ -0,0 +1,85 @@
+const User = require('../model/User');
+const personalData = require('../services/personalData');
+const { validationResult } = require('express-validator');
+
+// Download everything stored about a user as a JSON archive
+exports.exportPersonalData = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).withDeleted();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const archive = await personalData.buildArchive(user);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="personal-data-${user._id}-${date}.json"`);
+    res.status(200).send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error exporting personal data'
+    });
+  }
+};
+
+// Anonymise a user while keeping the records that reference them
+exports.erasePersonalData = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id).withDeleted();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.erasedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Personal data has already been erased'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot erase your own account'
+      });
+    }
+
+    // Guard against erasing the wrong account by mistake
+    if (req.body.confirmEmail.toLowerCase().trim() !== user.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Confirmation email does not match the user'
+      });
+    }
+
+    await personalData.eraseUser(user, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: user._id,
+        erasedAt: user.erasedAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error erasing personal data'
+    });
+  }
+};
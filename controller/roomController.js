@@ -0,0 +1,228 @@
+const Room = require('../model/Room');
+const Floor = require('../model/Floor');
+const Course = require('../model/Course');
+const { validationResult } = require('express-validator');
+const campusScope = require('../services/campusScope');
+
+// Response for a campus outside the one the caller is limited to
+const outOfScope = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: campusScope.OUT_OF_SCOPE_ERROR
+  });
+};
+
+// Find the room in req.params.id if the request may reach it; sends the
+// error response and returns null otherwise
+const findRoom = async (req, res) => {
+  const room = await Room.findById(req.params.id);
+
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+    return null;
+  }
+
+  if (!campusScope.includes(req, room.campus)) {
+    outOfScope(res);
+    return null;
+  }
+
+  return room;
+};
+
+// Create a teaching room on a floor
+exports.createRoom = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const floor = await Floor.findById(req.body.floor);
+    if (!floor) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid floor ID'
+      });
+    }
+
+    if (!campusScope.includes(req, floor.campus)) {
+      return outOfScope(res);
+    }
+
+    const { name, code, type, capacity, description } = req.body;
+    const room = new Room({ name, code, type, capacity, description });
+    room.setFloor(floor);
+    await room.save();
+
+    res.status(201).json({
+      success: true,
+      data: room
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Room code already exists on this campus'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error creating room'
+    });
+  }
+};
+
+// Get rooms with filtering and pagination
+exports.getRooms = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.campus) filter.campus = req.query.campus;
+    if (req.query.building) filter.building = req.query.building;
+    if (req.query.floor) filter.floor = req.query.floor;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.minCapacity) filter.capacity = { $gte: parseInt(req.query.minCapacity) };
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (campusScope.getCampus(req)) filter.campus = campusScope.getCampus(req);
+
+    const rooms = await Room.find(filter)
+      .populate('building', 'name code')
+      .populate('floor', 'level name')
+      .skip(skip)
+      .limit(limit)
+      .sort({ code: 1 });
+
+    const total = await Room.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: rooms,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching rooms'
+    });
+  }
+};
+
+// Get single room by ID
+exports.getRoomById = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    await room.populate([
+      { path: 'campus', select: 'name code' },
+      { path: 'building', select: 'name code' },
+      { path: 'floor', select: 'level name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: room
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching room'
+    });
+  }
+};
+
+// Update a room, optionally moving it to another floor on the same campus
+exports.updateRoom = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    if (req.body.floor !== undefined && req.body.floor !== room.floor.toString()) {
+      const floor = await Floor.findById(req.body.floor);
+      if (!floor) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid floor ID'
+        });
+      }
+
+      // Course schedules check their rooms against the offering's campus
+      if (!floor.campus.equals(room.campus)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Rooms cannot be moved to another campus'
+        });
+      }
+      room.setFloor(floor);
+    }
+
+    const { name, code, type, capacity, description, isActive } = req.body;
+    if (name !== undefined) room.name = name;
+    if (code !== undefined) room.code = code;
+    if (type !== undefined) room.type = type;
+    if (capacity !== undefined) room.capacity = capacity;
+    if (description !== undefined) room.description = description;
+    if (isActive !== undefined) room.isActive = isActive;
+    await room.save();
+
+    res.status(200).json({
+      success: true,
+      data: room
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Room code already exists on this campus'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Error updating room'
+    });
+  }
+};
+
+// Delete a room that no course schedule uses
+exports.deleteRoom = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    const courseCount = await Course.countDocuments({ 'campuses.schedule.room': room._id }).withDeleted();
+    if (courseCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete room used in course schedules. Please deactivate it instead.'
+      });
+    }
+
+    await room.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error deleting room'
+    });
+  }
+};
@@ -0,0 +1,122 @@
+const Session = require('../model/Session');
+const sessions = require('../services/sessions');
+const { validationResult } = require('express-validator');
+
+// Exchange a refresh token for a new access and refresh token pair
+exports.refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await sessions.rotateSession(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error refreshing token'
+    });
+  }
+};
+
+// Log out of the current session
+exports.logout = async (req, res) => {
+  try {
+    await sessions.revokeSession(req.sessionId, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error logging out'
+    });
+  }
+};
+
+// List the authenticated user's active sessions
+exports.getSessions = async (req, res) => {
+  try {
+    const activeSessions = await Session.findActiveByUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: activeSessions.map(session => ({
+        ...session.getSummary(),
+        isCurrent: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching sessions'
+    });
+  }
+};
+
+// Revoke one of the authenticated user's sessions
+exports.revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await sessions.revokeSession(session._id, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error revoking session'
+    });
+  }
+};
+
+// Sign out everywhere by revoking all of the authenticated user's sessions
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const result = await sessions.revokeAllSessions(req.user._id, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error revoking sessions'
+    });
+  }
+};
@@ -0,0 +1,211 @@
+const User = require('../model/User');
+const totp = require('../services/totp');
+const twoFactor = require('../services/twoFactor');
+const sessions = require('../services/sessions');
+const { twoFactor: twoFactorConfig } = require('../config/security');
+const { validationResult } = require('express-validator');
+
+// Start enrolment: generate a secret and return it with an otpauth URI
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(twoFactor.SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: totp.getOtpauthUri(secret, user.email, twoFactorConfig.issuer)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error setting up two-factor authentication'
+    });
+  }
+};
+
+// Finish enrolment by confirming a first code; returns the recovery codes once
+exports.confirmTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(twoFactor.SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashed } = twoFactor.generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashed;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error confirming two-factor authentication'
+    });
+  }
+};
+
+// Replace all recovery codes (requires a current authentication code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(twoFactor.SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!twoFactor.verifyUserCode(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashed } = twoFactor.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashed;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error regenerating recovery codes'
+    });
+  }
+};
+
+// Turn off two-factor authentication (not allowed for roles that require it)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(twoFactor.SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (twoFactor.isRequiredFor(user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is mandatory for your role'
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !twoFactor.verifyUserCode(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error disabling two-factor authentication'
+    });
+  }
+};
+
+// Clear another user's second factor (lost device); they must enrol again
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    // Sessions signed in with the old second factor must sign in again
+    await sessions.revokeAllSessions(user._id, 'two_factor_reset');
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error resetting two-factor authentication'
+    });
+  }
+};
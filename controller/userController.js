@@ -1,8 +1,68 @@
 const User = require('../model/User');
 const Campus = require('../model/Campus');
 const { validationResult } = require('express-validator');
-const fs = require("fs").promises;
 const emailer = require('../services/emailer');
+const tokens = require('../services/tokens');
+const loginProtection = require('../services/loginProtection');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const userExport = require('../services/userExport');
+const passwordPolicy = require('../services/passwordPolicy');
+const campusScope = require('../services/campusScope');
+const { loginProtection: loginProtectionConfig } = require('../config/security');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+const VERIFICATION_RESEND_COOLDOWN_MINUTES = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_MINUTES) || 5;
+
+// Profile fields an administrator may change through updateUser
+const EDITABLE_FIELDS = ['email', 'firstName', 'lastName', 'role', 'department', 'identification', 'campus'];
+
+// Send the account confirmation email with a signed verification link
+const sendVerificationEmail = async (user) => {
+  const token = tokens.signEmailVerificationToken(user);
+  const emailBody = await emailer.renderTemplate('accountConfirmationTemplate.html', {
+    'User Name': user.firstName + " " + user.lastName,
+    'Verification Link': `${APP_URL}/verify-email?token=${token}`,
+    'Expiry Hours': tokens.EMAIL_VERIFICATION_EXPIRES_HOURS
+  });
+  await emailer.sendReviewHtmlBody(user.email, emailBody, 'Account Confirmation');
+
+  user.verificationEmailSentAt = new Date();
+  await user.save();
+};
+
+// Notify the user that their account was locked after repeated failed logins
+const sendLockoutEmail = async (user) => {
+  const emailBody = await emailer.renderTemplate('accountLockedTemplate.html', {
+    'User Name': user.firstName + " " + user.lastName,
+    'Lockout Minutes': loginProtectionConfig.lockoutMinutes,
+    'Reset Link': `${APP_URL}/forgot-password`
+  });
+  await emailer.sendReviewHtmlBody(user.email, emailBody, 'Account Temporarily Locked');
+};
+
+// Finish a successful login: reset failure counters, start a session and respond
+const completeLogin = async (user, req, res) => {
+  await loginProtection.recordSuccessfulLogin(user);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken } = await sessions.createSession(user, req);
+
+  // Populate campus data before sending response
+  await user.populate('campus', 'name code province');
+
+  res.status(200).json({
+    success: true,
+    data: user.getPublicProfile(),
+    token,
+    refreshToken,
+    twoFactorSetupRequired: twoFactor.isRequiredFor(user) && !user.twoFactor.enabled
+  });
+};
 
 // Create a new user
 exports.createUser = async (req, res) => {
@@ -15,6 +75,19 @@ exports.createUser = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const scopeError = campusScope.getUserError(req, req.body);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
+    const violations = passwordPolicy.checkRules(req.body.password, req.body);
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicy.toErrorResponse(violations));
+    }
+
     // Verify campus exists
     const campus = await Campus.findById(req.body.campus);
     if (!campus) {
@@ -26,15 +99,18 @@ exports.createUser = async (req, res) => {
     }
 
     const user = new User(req.body);
+    user.emailVerified = false;
     console.log('Attempting to save user:', user);
 
-    let emailBody = await fs.readFile( './templates/accountConfirmationTemplate.html');
-    emailBody = emailBody.toString();
-    emailBody = emailBody.replace('[User Name]', user.firstName + " " + user.lastName);
-    await emailer.sendReviewHtmlBody(user.email, emailBody, 'Account Confirmation');    
-    
     await user.save();
     console.log('User saved successfully');
+
+    // The user can request a new link if this one fails to send
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.log('Error sending account confirmation email:', error);
+    }
     
     // Populate campus data before sending response
     await user.populate('campus', 'name code province');
@@ -59,20 +135,44 @@ exports.createUser = async (req, res) => {
   }
 };
 
-// Get all users with pagination and filtering
+// Build the user filter shared by listing and export
+const buildUserFilter = (req) => {
+  const { query } = req;
+  const filter = {};
+  if (query.role) filter.role = query.role;
+  if (query.isActive !== undefined) filter.isActive = query.isActive === 'true';
+  if (query.department) filter.department = query.department;
+  if (query.campus) filter.campus = query.campus;
+  // Campus-limited requests only ever see their own campus
+  if (campusScope.getCampus(req)) filter.campus = campusScope.getCampus(req);
+  return filter;
+};
+
+// Stream all matching users instead of a page when ?format= is given
+const exportUsers = async (req, res, filter) => {
+  const options = userExport.parseOptions(req.query);
+  if (options.error) {
+    return res.status(400).json({
+      success: false,
+      error: options.error
+    });
+  }
+  await userExport.streamUsers(res, filter, options);
+};
+
+// Get all users with pagination and filtering (or export them with ?format=csv|jsonl)
 exports.getUsers = async (req, res) => {
   try {
+    const filter = buildUserFilter(req);
+
+    if (req.query.format) {
+      return await exportUsers(req, res, filter);
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {};
-    if (req.query.role) filter.role = req.query.role;
-    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
-    if (req.query.department) filter.department = req.query.department;
-    if (req.query.campus) filter.campus = req.query.campus;
-
     const users = await User.find(filter)
       .select('-password')
       .populate('campus', 'name code province')
@@ -113,6 +213,13 @@ exports.getUserById = async (req, res) => {
       });
     }
 
+    if (!campusScope.includes(req, user.campus && user.campus._id)) {
+      return res.status(403).json({
+        success: false,
+        error: campusScope.OUT_OF_SCOPE_ERROR
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: user
@@ -133,6 +240,21 @@ exports.updateUser = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    if (campusScope.getCampus(req)) {
+      const existing = await User.findById(req.params.id).select('campus role');
+      const scopeError = (existing && campusScope.getUserError(req, existing)) ||
+        campusScope.getUserError(req, {
+          campus: req.body.campus || campusScope.getCampus(req),
+          role: req.body.role
+        });
+      if (scopeError) {
+        return res.status(403).json({
+          success: false,
+          error: scopeError
+        });
+      }
+    }
+
     // If campus is being updated, verify it exists
     if (req.body.campus) {
       const campus = await Campus.findById(req.body.campus);
@@ -144,14 +266,16 @@ exports.updateUser = async (req, res) => {
       }
     }
 
-    // Prevent password update through this endpoint
-    if (req.body.password) {
-      delete req.body.password;
+    // Passwords, status, verification, two-factor and trash fields have
+    // their own endpoints
+    const update = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
     }
 
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      { $set: update },
       { 
         new: true,
         runValidators: true
@@ -188,7 +312,7 @@ exports.updateUser = async (req, res) => {
 // Delete user
 exports.deleteUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({
@@ -197,6 +321,17 @@ exports.deleteUser = async (req, res) => {
       });
     }
 
+    const scopeError = campusScope.getUserError(req, user);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
+    await user.softDelete(req.user._id);
+    await sessions.revokeAllSessions(user._id, 'deleted');
+
     res.status(200).json({
       success: true,
       data: {}
@@ -209,21 +344,85 @@ exports.deleteUser = async (req, res) => {
   }
 };
 
-// Update user password
-exports.updatePassword = async (req, res) => {
+// Get deleted users (trash)
+exports.getDeletedUsers = async (req, res) => {
   try {
-    console.log(req.body);
-    const { email, password } = req.body;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
 
-    if (!email || !password) {
+    const users = await User.find()
+      .select('-password')
+      .onlyDeleted()
+      .populate('deletedBy', 'firstName lastName email')
+      .skip(skip)
+      .limit(limit)
+      .sort({ deletedAt: -1 });
+
+    const total = await User.countDocuments().onlyDeleted();
+
+    res.status(200).json({
+      success: true,
+      data: users,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching deleted users'
+    });
+  }
+};
+
+// Restore a deleted user
+exports.restoreUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).onlyDeleted();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deleted user not found'
+      });
+    }
+
+    // Users kept in the trash past the retention period have been anonymised
+    if (user.erasedAt) {
       return res.status(400).json({
         success: false,
-        error: 'Please provide both email and new password'
+        error: 'Personal data of this user has been erased'
       });
     }
 
-    const user = await User.findOne({ email });
-    console.log(user);
+    await user.restore();
+
+    res.status(200).json({
+      success: true,
+      data: user.getPublicProfile()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error restoring user'
+    });
+  }
+};
+
+// Change the authenticated user's own password
+exports.updatePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, password } = req.body;
+
+    const user = await User.findById(req.user._id).select('+passwordHistory');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -231,13 +430,24 @@ exports.updatePassword = async (req, res) => {
       });
     }
 
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    const violations = await passwordPolicy.validate(password, user);
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicy.toErrorResponse(violations));
+    }
+
     user.password = password;
+    user.passwordReset = undefined;
     await user.save();
 
-    let emailBody = await fs.readFile( './templates/passwordResetTemplate.html');
-    emailBody = emailBody.toString();
-    emailBody = emailBody.replace('[User Name]', user.firstName + " " + user.lastName);
-    await emailer.sendReviewHtmlBody(user.email, emailBody, 'Password Reset');    
+    await sessions.revokeAllSessions(user._id, 'password_changed');
 
     res.status(200).json({
       success: true,
@@ -251,6 +461,193 @@ exports.updatePassword = async (req, res) => {
   }
 };
 
+// Request a password reset link (response never reveals whether the email exists)
+exports.requestPasswordReset = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Invited users set their password through the invitation instead
+    if (user && user.isActive && !user.hasPendingInvitation()) {
+      // Issuing a new token replaces (and so invalidates) any earlier one
+      const { token, hash } = tokens.generateOpaqueToken();
+      user.passwordReset = {
+        tokenHash: hash,
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60000)
+      };
+      await user.save();
+
+      try {
+        const emailBody = await emailer.renderTemplate('passwordResetTemplate.html', {
+          'User Name': user.firstName + " " + user.lastName,
+          'Reset Link': `${APP_URL}/reset-password?token=${token}`,
+          'Expiry Minutes': PASSWORD_RESET_EXPIRES_MINUTES
+        });
+        await emailer.sendReviewHtmlBody(user.email, emailBody, 'Password Reset');
+      } catch (error) {
+        console.log('Error sending password reset email:', error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error requesting password reset'
+    });
+  }
+};
+
+// Reset password using a token from the reset email
+exports.resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      'passwordReset.tokenHash': tokens.hashToken(token),
+      'passwordReset.expiresAt': { $gt: new Date() }
+    }).select('+passwordHistory');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    // The token stays valid so the user can retry with another password
+    const violations = await passwordPolicy.validate(password, user);
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicy.toErrorResponse(violations));
+    }
+
+    user.password = password;
+    user.passwordReset = undefined;
+
+    // The token was delivered by email, so the address is proven
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // A successful reset also lifts any failed-login lockout
+    await loginProtection.unlockAccount(user._id);
+    await sessions.revokeAllSessions(user._id, 'password_changed');
+
+    try {
+      const emailBody = await emailer.renderTemplate('accountUpdateConfirmationTemplate.html', {
+        'User Name': user.firstName + " " + user.lastName
+      });
+      await emailer.sendReviewHtmlBody(user.email, emailBody, 'Password Changed');
+    } catch (error) {
+      console.log('Error sending password change confirmation:', error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error resetting password'
+    });
+  }
+};
+
+// Verify email address using the token from the confirmation email
+exports.verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let payload;
+    try {
+      payload = tokens.verifyEmailVerificationToken(req.body.token);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    const user = await User.findById(payload.sub);
+
+    // Token must match the address it was issued for
+    if (!user || user.email !== payload.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error verifying email address'
+    });
+  }
+};
+
+// Resend the verification email (throttled, never reveals whether the email exists)
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    const cooldownEnds = user && user.verificationEmailSentAt
+      ? user.verificationEmailSentAt.getTime() + VERIFICATION_RESEND_COOLDOWN_MINUTES * 60000
+      : 0;
+
+    if (user && user.isActive && user.emailVerified === false && Date.now() >= cooldownEnds) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.log('Error resending verification email:', error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If the account exists and is unverified, a new verification email has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error resending verification email'
+    });
+  }
+};
+
 // Toggle user active status
 exports.toggleUserStatus = async (req, res) => {
   try {
@@ -263,9 +660,21 @@ exports.toggleUserStatus = async (req, res) => {
       });
     }
 
+    const scopeError = campusScope.getUserError(req, user);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
     user.isActive = !user.isActive;
     await user.save();
 
+    if (!user.isActive) {
+      await sessions.revokeAllSessions(user._id, 'deactivated');
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -280,6 +689,42 @@ exports.toggleUserStatus = async (req, res) => {
   }
 };
 
+// Unlock an account locked by failed login attempts
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const scopeError = campusScope.getUserError(req, user);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
+    const wasLocked = await loginProtection.unlockAccount(user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        wasLocked
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error unlocking user'
+    });
+  }
+};
+
 // Search users
 exports.searchUsers = async (req, res) => {
   try {
@@ -291,7 +736,7 @@ exports.searchUsers = async (req, res) => {
       });
     }
 
-    const users = await User.find({
+    const filter = {
       $or: [
         { username: { $regex: query, $options: 'i' } },
         { email: { $regex: query, $options: 'i' } },
@@ -299,7 +744,12 @@ exports.searchUsers = async (req, res) => {
         { lastName: { $regex: query, $options: 'i' } },
         { studentId: { $regex: query, $options: 'i' } }
       ]
-    }).select('-password').limit(10);
+    };
+    if (campusScope.getCampus(req)) {
+      filter.campus = campusScope.getCampus(req);
+    }
+
+    const users = await User.find(filter).select('-password').limit(10);
 
     res.status(200).json({
       success: true,
@@ -313,7 +763,7 @@ exports.searchUsers = async (req, res) => {
   }
 };
 
-// Get users by campus
+// Get users by campus (or export them with ?format=csv|jsonl)
 exports.getUsersByCampus = async (req, res) => {
   try {
     const { campusId } = req.params;
@@ -321,6 +771,13 @@ exports.getUsersByCampus = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    if (!campusScope.includes(req, campusId)) {
+      return res.status(403).json({
+        success: false,
+        error: campusScope.OUT_OF_SCOPE_ERROR
+      });
+    }
+
     // Verify campus exists
     const campus = await Campus.findById(campusId);
     if (!campus) {
@@ -330,6 +787,10 @@ exports.getUsersByCampus = async (req, res) => {
       });
     }
 
+    if (req.query.format) {
+      return await exportUsers(req, res, { ...buildUserFilter(req), campus: campusId });
+    }
+
     const users = await User.find({ campus: campusId })
       .select('-password')
       .populate('campus', 'name code province')
@@ -369,7 +830,22 @@ exports.login = async (req, res) => {
     }
 
     const user = await User.findOne({ email });
-    if (!user) {
+
+    // Refuse attempts while the client IP is throttled
+    const { ipRetryAfter, accountRetryAfter } = await loginProtection.checkLoginAllowed(req.ip, user);
+    if (ipRetryAfter > 0) {
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many login attempts. Please try again later',
+        retryAfter: ipRetryAfter
+      });
+    }
+
+    // A throttled account is refused like an unknown email, so the response
+    // does not reveal that the account exists
+    if (!user || accountRetryAfter > 0) {
+      await loginProtection.recordFailedLogin(req.ip, null);
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
@@ -378,6 +854,14 @@ exports.login = async (req, res) => {
 
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const failure = await loginProtection.recordFailedLogin(req.ip, user);
+      if (failure.accountLocked) {
+        try {
+          await sendLockoutEmail(user);
+        } catch (error) {
+          console.log('Error sending account lockout email:', error);
+        }
+      }
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
@@ -392,17 +876,95 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Check if email address has been verified
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email address has not been verified'
+      });
+    }
 
-    // Populate campus data before sending response
-    await user.populate('campus', 'name code province');
+    // Accounts with two-factor enabled must complete a second step
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: tokens.signTwoFactorChallengeToken(user)
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      data: user.getPublicProfile()
+    await completeLogin(user, req, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error during login'
     });
+  }
+};
+
+// Second login step for accounts with two-factor authentication
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let payload;
+    try {
+      payload = tokens.verifyTwoFactorChallengeToken(req.body.challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired login challenge'
+      });
+    }
+
+    const user = await User.findById(payload.sub).select(twoFactor.SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired login challenge'
+      });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const { ipRetryAfter, accountRetryAfter } = await loginProtection.checkLoginAllowed(req.ip, user);
+    if (ipRetryAfter > 0) {
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many login attempts. Please try again later',
+        retryAfter: ipRetryAfter
+      });
+    }
+
+    // While the account is throttled every code is refused the same way
+    if (accountRetryAfter > 0) {
+      await loginProtection.recordFailedLogin(req.ip, null);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const { code, recoveryCode } = req.body;
+    if (!twoFactor.verifyUserCode(user, { code, recoveryCode })) {
+      const failure = await loginProtection.recordFailedLogin(req.ip, user);
+      if (failure.accountLocked) {
+        try {
+          await sendLockoutEmail(user);
+        } catch (error) {
+          console.log('Error sending account lockout email:', error);
+        }
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
     res.status(500).json({
       success: false,
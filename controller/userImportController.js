@@ -0,0 +1,238 @@
+const User = require('../model/User');
+const Campus = require('../model/Campus');
+const { validationResult } = require('express-validator');
+const { userImportValidation } = require('../validation/userValidation');
+const csv = require('../services/csv');
+const emailer = require('../services/emailer');
+const tokens = require('../services/tokens');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const ACCOUNT_SETUP_EXPIRES_HOURS = parseInt(process.env.ACCOUNT_SETUP_EXPIRES_HOURS) || 168;
+const IMPORT_MAX_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS) || 10000;
+const IMPORT_FIELDS = ['email', 'firstName', 'lastName', 'role', 'campus', 'department', 'identification'];
+
+// Read rows from a text/csv body or a JSON array (optionally wrapped in { users })
+const readRows = (req) => {
+  if (typeof req.body === 'string') return csv.parse(req.body);
+  if (Array.isArray(req.body)) return req.body;
+  if (req.body && Array.isArray(req.body.users)) return req.body.users;
+  return null;
+};
+
+// Keep only the importable fields, as trimmed strings
+const pickFields = (raw) => {
+  const row = IMPORT_FIELDS.reduce((acc, field) => {
+    const value = raw[field];
+    acc[field] = value === undefined || value === null ? '' : String(value).trim();
+    return acc;
+  }, {});
+  row.role = row.role || 'student';
+  return row;
+};
+
+// Find campuses referenced by id or by code
+const resolveCampuses = async (values) => {
+  const unique = [...new Set(values.filter(Boolean))];
+  const ids = unique.filter(value => /^[a-f\d]{24}$/i.test(value));
+  const codes = unique.map(value => value.toUpperCase());
+
+  const campuses = await Campus.find({
+    $or: [
+      { _id: { $in: ids } },
+      { code: { $in: codes } }
+    ]
+  });
+
+  const byKey = new Map();
+  for (const campus of campuses) {
+    byKey.set(campus._id.toString(), campus);
+    if (campus.code) byKey.set(campus.code, campus);
+  }
+  return (value) => byKey.get(value) || byKey.get(value.toUpperCase());
+};
+
+// Import users from CSV or JSON, reporting the outcome of every row.
+// With ?dryRun=true nothing is written.
+exports.importUsers = async (req, res) => {
+  try {
+    let rawRows;
+    try {
+      rawRows = readRows(req);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not parse CSV: ${error.message}`
+      });
+    }
+
+    if (!rawRows || rawRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide users as a CSV body (text/csv) or a JSON array'
+      });
+    }
+
+    if (rawRows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `Imports are limited to ${IMPORT_MAX_ROWS} rows`
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+
+    // Validate every row with the same rules as single user creation
+    const report = [];
+    for (let i = 0; i < rawRows.length; i++) {
+      const row = pickFields(rawRows[i] || {});
+      const rowReq = { body: row };
+      for (const chain of userImportValidation) {
+        await chain.run(rowReq);
+      }
+      report.push({
+        row: i + 1,
+        email: row.email,
+        data: row,
+        errors: validationResult(rowReq).array().map(error => error.msg)
+      });
+    }
+
+    const findCampus = await resolveCampuses(report.map(entry => entry.data.campus));
+
+    // Duplicates within the file
+    const seenEmails = new Map();
+    const seenIdentifications = new Map();
+    for (const entry of report) {
+      const { email, identification } = entry.data;
+
+      const campus = entry.data.campus && findCampus(entry.data.campus);
+      if (entry.data.campus && !campus) {
+        entry.errors.push('Campus not found');
+      } else if (campus && !campus.isActive) {
+        entry.errors.push('Campus is inactive');
+      } else if (campus) {
+        entry.campusId = campus._id;
+      }
+
+      if (seenEmails.has(email)) {
+        entry.errors.push(`Duplicate email in import (row ${seenEmails.get(email)})`);
+      } else {
+        seenEmails.set(email, entry.row);
+      }
+
+      if (identification) {
+        if (seenIdentifications.has(identification)) {
+          entry.errors.push(`Duplicate identification in import (row ${seenIdentifications.get(identification)})`);
+        } else {
+          seenIdentifications.set(identification, entry.row);
+        }
+      }
+    }
+
+    // Duplicates against existing accounts (deleted ones still hold their email)
+    const existing = await User.find({
+      $or: [
+        { email: { $in: [...seenEmails.keys()] } },
+        { identification: { $in: [...seenIdentifications.keys()] } }
+      ]
+    }).select('email identification').withDeleted();
+
+    const existingEmails = new Set(existing.map(user => user.email));
+    const existingIdentifications = new Set(existing.map(user => user.identification).filter(Boolean));
+    for (const entry of report) {
+      if (existingEmails.has(entry.data.email)) {
+        entry.errors.push('Email already exists');
+      }
+      if (entry.data.identification && existingIdentifications.has(entry.data.identification)) {
+        entry.errors.push('Identification already exists');
+      }
+    }
+
+    const validEntries = report.filter(entry => entry.errors.length === 0);
+
+    let created = [];
+    if (!dryRun && validEntries.length > 0) {
+      // Each account gets a single-use link to choose its own password
+      const expiresAt = new Date(Date.now() + ACCOUNT_SETUP_EXPIRES_HOURS * 3600000);
+      const setupTokens = new Map();
+      const docs = validEntries.map(entry => {
+        const { token, hash } = tokens.generateOpaqueToken();
+        setupTokens.set(entry.data.email, token);
+        return {
+          email: entry.data.email,
+          firstName: entry.data.firstName,
+          lastName: entry.data.lastName,
+          role: entry.data.role,
+          campus: entry.campusId,
+          department: entry.data.department || undefined,
+          identification: entry.data.identification || undefined,
+          emailVerified: false,
+          passwordReset: { tokenHash: hash, expiresAt }
+        };
+      });
+
+      try {
+        created = await User.insertMany(docs, { ordered: false });
+      } catch (error) {
+        // Rows that raced with another write fail individually
+        if (!error.insertedDocs) throw error;
+        created = error.insertedDocs;
+      }
+
+      const createdEmails = new Set(created.map(user => user.email));
+      for (const entry of validEntries) {
+        if (!createdEmails.has(entry.data.email)) {
+          entry.failed = true;
+          entry.errors.push('User could not be created');
+        }
+      }
+
+      // Send confirmation emails in the background for created accounts only
+      const template = await emailer.renderTemplate('accountSetupTemplate.html', {
+        'Expiry Hours': ACCOUNT_SETUP_EXPIRES_HOURS
+      });
+      const messages = created.map(user => ({
+        to: user.email,
+        subject: 'Account Confirmation',
+        body: emailer.fillTemplate(template, {
+          'User Name': user.firstName + " " + user.lastName,
+          'Setup Link': `${APP_URL}/reset-password?token=${setupTokens.get(user.email)}`
+        })
+      }));
+      emailer.sendBulkHtml(messages)
+        .then(result => console.log('Import confirmation emails:', result))
+        .catch(error => console.log('Error sending import confirmation emails:', error));
+    }
+
+    const rows = report.map(entry => {
+      let status = 'invalid';
+      if (entry.failed) status = 'failed';
+      else if (entry.errors.length === 0) status = dryRun ? 'valid' : 'created';
+      return {
+        row: entry.row,
+        email: entry.email,
+        status,
+        errors: entry.errors
+      };
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      summary: {
+        total: rows.length,
+        valid: validEntries.length,
+        invalid: rows.filter(row => row.status === 'invalid').length,
+        created: created.length,
+        failed: rows.filter(row => row.status === 'failed').length
+      },
+      data: rows
+    });
+  } catch (error) {
+    console.log('Error importing users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error importing users'
+    });
+  }
+};
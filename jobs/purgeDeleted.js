@@ -0,0 +1,66 @@
+const User = require('../model/User');
+const Campus = require('../model/Campus');
+const Course = require('../model/Course');
+const personalData = require('../services/personalData');
+
+// Days a soft-deleted document stays in the trash before it is purged
+const RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+const INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Users are referenced by bookings, maintenance requests and course
+// offerings, so instead of being removed they are anonymised and stay in the
+// trash
+const eraseDeletedUsers = async (cutoff) => {
+  const users = await User.find({
+    deletedAt: { $ne: null, $lt: cutoff },
+    erasedAt: null
+  });
+
+  let erased = 0;
+  for (const user of users) {
+    try {
+      await personalData.eraseUser(user, user.deletedBy);
+      erased++;
+    } catch (error) {
+      console.error(`Error erasing deleted user ${user._id}:`, error);
+    }
+  }
+  if (erased > 0) {
+    console.log(`Erased personal data of ${erased} deleted User document(s)`);
+  }
+};
+
+// Permanently remove soft-deleted documents older than the retention period
+const purgeDeleted = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  try {
+    await eraseDeletedUsers(cutoff);
+  } catch (error) {
+    console.error('Error erasing deleted User documents:', error);
+  }
+
+  for (const Model of [Campus, Course]) {
+    try {
+      const result = await Model.purgeDeleted(cutoff);
+      if (result.deletedCount > 0) {
+        console.log(`Purged ${result.deletedCount} deleted ${Model.modelName} document(s)`);
+      }
+    } catch (error) {
+      console.error(`Error purging deleted ${Model.modelName} documents:`, error);
+    }
+  }
+};
+
+// Run once now and then daily
+const start = () => {
+  purgeDeleted();
+  const timer = setInterval(purgeDeleted, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purgeDeleted,
+  start
+};
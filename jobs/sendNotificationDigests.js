@@ -0,0 +1,29 @@
+const notifications = require('../services/notifications');
+
+// Hours between digest emails
+const DIGEST_INTERVAL_HOURS = parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL_HOURS) || 24;
+const INTERVAL_MS = DIGEST_INTERVAL_HOURS * 60 * 60 * 1000;
+
+// Email every user their queued notifications
+const sendNotificationDigests = async () => {
+  try {
+    const { sent, failed } = await notifications.sendDigests();
+    if (sent > 0 || failed > 0) {
+      console.log(`Sent ${sent} notification digest(s), ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error sending notification digests:', error);
+  }
+};
+
+// Run on a fixed interval; the first digest goes out one interval after start
+const start = () => {
+  const timer = setInterval(sendNotificationDigests, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sendNotificationDigests,
+  start
+};
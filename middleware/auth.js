@@ -0,0 +1,208 @@
+const User = require('../model/User');
+const Session = require('../model/Session');
+const ApiKey = require('../model/ApiKey');
+const Impersonation = require('../model/Impersonation');
+const tokens = require('../services/tokens');
+const apiKeys = require('../services/apiKeys');
+const campusScope = require('../services/campusScope');
+const twoFactor = require('../services/twoFactor');
+const { can } = require('../config/permissions');
+
+// How often a session's lastUsedAt is refreshed by ordinary requests
+const LAST_USED_RESOLUTION_MS = 5 * 60000;
+
+// Read the bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice(7).trim();
+};
+
+// Authenticate a machine client by its X-API-Key header. The key acts as
+// its owner, limited to the key's permissions and campus (see authorize).
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = await apiKeys.findByKey(req.get('X-API-Key'));
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid, expired or revoked API key'
+    });
+  }
+
+  const owner = await User.findById(apiKey.owner).select('-password');
+  if (!owner || !owner.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: 'API key owner is deactivated'
+    });
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    );
+  }
+
+  req.user = owner;
+  req.apiKey = apiKey;
+  req.campusScope = campusScope.forUser(owner) || apiKey.campus;
+  next();
+};
+
+// Authenticate an impersonation token: req.user is the impersonated user and
+// req.impersonator the administrator acting as them
+const authenticateImpersonation = async (req, res, next, payload) => {
+  const invalid = () => res.status(401).json({
+    success: false,
+    error: 'Impersonation has ended or is no longer valid'
+  });
+
+  const impersonation = await Impersonation.findById(payload.imp);
+  if (!impersonation || !impersonation.isActive() ||
+      impersonation.target.toString() !== payload.sub ||
+      impersonation.actor.toString() !== (payload.act || {}).sub) {
+    return invalid();
+  }
+
+  // The actor must still be signed in and allowed to impersonate
+  const [actor, user, session] = await Promise.all([
+    User.findById(impersonation.actor).select('-password'),
+    User.findById(impersonation.target).select('-password'),
+    Session.findById(impersonation.session)
+  ]);
+  if (!actor || !actor.isActive || !can(actor.role, 'users:impersonate') ||
+      !session || !session.isActive() || !session.user.equals(actor._id) ||
+      !user || !user.isActive) {
+    return invalid();
+  }
+
+  // Every response made while impersonating is marked
+  res.set('X-Impersonated-By', actor._id.toString());
+  res.set('X-Impersonation-Id', impersonation._id.toString());
+
+  req.user = user;
+  req.impersonator = actor;
+  req.impersonation = impersonation;
+  req.sessionId = session._id;
+  req.campusScope = campusScope.forUser(user);
+  next();
+};
+
+// Verify the access token (or API key), load the user and attach it to req.user
+exports.authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token && req.get('X-API-Key')) {
+      return await authenticateApiKey(req, res, next);
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = tokens.verifyAccessToken(token);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+
+    if (payload.imp) {
+      return await authenticateImpersonation(req, res, next, payload);
+    }
+
+    const user = await User.findById(payload.sub).select('-password');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
+
+    // The session behind the token must not have been logged out or revoked
+    const session = await Session.findById(payload.sid);
+    if (!session || !session.isActive() || !session.user.equals(user._id)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired or been revoked'
+      });
+    }
+
+    if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+    }
+
+    req.user = user;
+    req.sessionId = session._id;
+    req.campusScope = campusScope.forUser(user);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Allow unauthenticated account creation only while no users exist yet,
+// so the first account can be bootstrapped on a fresh database
+exports.allowBootstrap = async (req, res, next) => {
+  try {
+    const userCount = await User.countDocuments().withDeleted();
+    if (userCount === 0) {
+      req.isBootstrap = true;
+      return next();
+    }
+    return exports.authenticate(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Keep account and credential routes for people signed in with a session
+exports.rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'API keys cannot be used for this action'
+    });
+  }
+  next();
+};
+
+// Keep credential and session changes away from administrators acting as
+// another user
+exports.rejectImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      error: 'This action is not allowed while impersonating another user'
+    });
+  }
+  next();
+};
+
+// Block users whose role requires two-factor authentication until they enrol
+// (API keys and impersonation, which an enrolled admin starts, are exempt)
+exports.requireTwoFactorSetup = (req, res, next) => {
+  if (req.user && !req.apiKey && !req.impersonator && twoFactor.isRequiredFor(req.user) && !req.user.twoFactor.enabled) {
+    return res.status(403).json({
+      success: false,
+      error: 'Two-factor authentication must be enabled for your account'
+    });
+  }
+  next();
+};
@@ -0,0 +1,61 @@
+const { POLICY, can } = require('../config/permissions');
+const campusScope = require('../services/campusScope');
+
+// Restrict a route to the roles granted `permission` in config/permissions.
+// With `allowSelf`, users may also act on their own record (req.params.id).
+const authorize = (permission, options = {}) => {
+  if (!POLICY[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    // Recorded as the action name in the audit log
+    req.permission = permission;
+
+    // First account on an empty database (see allowBootstrap)
+    if (req.isBootstrap) {
+      return next();
+    }
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    // Requests limited to one campus only reach routes that honour the limit
+    if (campusScope.getCampus(req) && !campusScope.supportsPermission(permission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'This action is not available with campus-limited access'
+      });
+    }
+
+    // API keys need the permission on the key as well as on the owner's role
+    if (req.apiKey) {
+      if (!req.apiKey.allows(permission) || !can(req.user.role, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: 'API key is not permitted to perform this action'
+        });
+      }
+      return next();
+    }
+
+    if (can(req.user.role, permission)) {
+      return next();
+    }
+
+    if (options.allowSelf && req.params.id === req.user.id) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      error: 'You do not have permission to perform this action'
+    });
+  };
+};
+
+module.exports = authorize;
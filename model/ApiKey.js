@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // The key acts on behalf of its owner and never beyond the owner's role
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Permission names from config/permissions, or "<resource>:*"
+  permissions: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: permissions => permissions.length > 0,
+      message: 'At least one permission is required'
+    }
+  },
+  // Limits the key to a single campus when set
+  campus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campus'
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  rotatedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing keys by owner
+apiKeySchema.index({ owner: 1, revokedAt: 1 });
+
+// Method to check if the key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to check if the key has been granted a permission
+apiKeySchema.methods.allows = function(permission) {
+  const [resource] = permission.split(':');
+  return this.permissions.includes(permission) || this.permissions.includes(`${resource}:*`);
+};
+
+// Method to get key summary (excluding the secret hash)
+apiKeySchema.methods.getSummary = function() {
+  const apiKeyObject = this.toObject();
+  delete apiKeyObject.keyHash;
+  delete apiKeyObject.__v;
+  return apiKeyObject;
+};
+
+apiKeySchema.plugin(auditPlugin);
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the actor made the change while impersonating this user
+  impersonatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the actor made the change through one of their API keys
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  operation: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  targetModel: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Summary of a bulk change that has no per-document diff (e.g. a campus merge)
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for efficient querying
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Retention: MongoDB removes entries once expiresAt passes (unset keeps them)
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
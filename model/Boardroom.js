@@ -1,4 +1,35 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const timeZones = require('../services/timeZones');
+const closures = require('../services/closures');
+
+const FACILITIES = [
+  'projector',
+  'whiteboard',
+  'video_conference',
+  'audio_system',
+  'smart_board',
+  'wifi',
+  'air_conditioning',
+  'telephone',
+  'computer',
+  'printer'
+];
+
+const STATUSES = ['available', 'occupied', 'maintenance', 'reserved'];
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Opening hours for one day, in the campus's time zone
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+const dayHours = {
+  open: { type: String, match: TIME_PATTERN },
+  close: { type: String, match: TIME_PATTERN }
+};
 
 const boardroomSchema = new mongoose.Schema({
   name: {
@@ -17,6 +48,15 @@ const boardroomSchema = new mongoose.Schema({
     ref: 'Campus',
     required: true
   },
+  // Where the boardroom is; building and campus must match the floor
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building'
+  },
+  floor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Floor'
+  },
   capacity: {
     type: Number,
     required: true,
@@ -24,33 +64,17 @@ const boardroomSchema = new mongoose.Schema({
   },
   facilities: [{
     type: String,
-    enum: [
-      'projector',
-      'whiteboard',
-      'video_conference',
-      'audio_system',
-      'smart_board',
-      'wifi',
-      'air_conditioning',
-      'telephone',
-      'computer',
-      'printer'
-    ]
+    enum: FACILITIES
   }],
   status: {
     type: String,
-    enum: ['available', 'occupied', 'maintenance', 'reserved'],
+    enum: STATUSES,
     default: 'available'
   },
-  operatingHours: {
-    monday: { open: String, close: String },
-    tuesday: { open: String, close: String },
-    wednesday: { open: String, close: String },
-    thursday: { open: String, close: String },
-    friday: { open: String, close: String },
-    saturday: { open: String, close: String },
-    sunday: { open: String, close: String }
-  },
+  operatingHours: DAYS.reduce((hours, day) => {
+    hours[day] = dayHours;
+    return hours;
+  }, {}),
   description: {
     type: String,
     trim: true
@@ -75,6 +99,22 @@ const boardroomSchema = new mongoose.Schema({
 // Compound index for unique boardroom code within a campus
 boardroomSchema.index({ campus: 1, code: 1 }, { unique: true });
 
+// Validate that each open day has both times and closes after it opens
+boardroomSchema.pre('validate', function(next) {
+  for (const day of DAYS) {
+    const hours = this.operatingHours && this.operatingHours[day];
+    if (!hours || (!hours.open && !hours.close)) continue;
+
+    if (!hours.open || !hours.close) {
+      this.invalidate(`operatingHours.${day}`, `Opening and closing times are both required for ${day}`);
+    } else if (TIME_PATTERN.test(hours.open) && TIME_PATTERN.test(hours.close) &&
+        toMinutes(hours.close) <= toMinutes(hours.open)) {
+      this.invalidate(`operatingHours.${day}.close`, `Closing time must be after opening time on ${day}`);
+    }
+  }
+  next();
+});
+
 // Method to get boardroom summary (excluding detailed info)
 boardroomSchema.methods.getSummary = function() {
   const boardroomObject = this.toObject();
@@ -85,14 +125,57 @@ boardroomSchema.methods.getSummary = function() {
   return boardroomObject;
 };
 
-// Static method to find available boardrooms
-boardroomSchema.statics.findAvailable = function(campusId, capacity, date, time) {
-  return this.find({
+// Maintenance statuses that take a boardroom out of use (as Maintenance.findActive)
+const ACTIVE_MAINTENANCE_STATUSES = ['pending', 'assigned', 'in_progress'];
+
+// Whether the boardroom is open for the whole of [start, end], reading its
+// operating hours in `timeZone` on the day the period starts
+boardroomSchema.methods.isOpenDuring = function(start, end, timeZone) {
+  const dateKey = timeZones.toDateKey(start, timeZone);
+  const hours = this.operatingHours && this.operatingHours[closures.getDayName(dateKey)];
+
+  if (!hours || !hours.open || !hours.close) return false;
+
+  return timeZones.fromLocal(dateKey, hours.open, timeZone) <= start &&
+    end <= timeZones.fromLocal(dateKey, hours.close, timeZone);
+};
+
+// Static method to find boardrooms free for the whole of [start, end]:
+// active, big enough, with every required facility, open according to their
+// operating hours, without an overlapping pending or confirmed booking and
+// not under active maintenance. Campus closures are not checked here.
+boardroomSchema.statics.findAvailable = async function(campusId, { start, end, capacity = 1, facilities = [] }) {
+  const filter = {
     campus: campusId,
-    status: 'available',
-    capacity: { $gte: capacity },
-    isActive: true
-  });
+    isActive: true,
+    status: { $ne: 'maintenance' },
+    capacity: { $gte: capacity }
+  };
+  if (facilities.length > 0) filter.facilities = { $all: facilities };
+
+  const candidates = await this.find(filter).sort({ capacity: 1, name: 1 });
+  if (candidates.length === 0) return [];
+
+  const timeZone = await mongoose.model('Campus').getTimeZone(campusId);
+  const open = candidates.filter(boardroom => boardroom.isOpenDuring(start, end, timeZone));
+  const ids = open.map(boardroom => boardroom._id);
+
+  const [booked, underMaintenance] = await Promise.all([
+    mongoose.model('Booking').distinct('boardroom', {
+      boardroom: { $in: ids },
+      status: { $in: ['pending', 'confirmed'] },
+      startTime: { $lt: end },
+      endTime: { $gt: start }
+    }),
+    mongoose.model('Maintenance').distinct('boardroom', {
+      boardroom: { $in: ids },
+      status: { $in: ACTIVE_MAINTENANCE_STATUSES },
+      isActive: true
+    })
+  ]);
+
+  const unavailable = new Set([...booked, ...underMaintenance].map(id => id.toString()));
+  return open.filter(boardroom => !unavailable.has(boardroom._id.toString()));
 };
 
 // Static method to find boardrooms by facilities
@@ -104,6 +187,13 @@ boardroomSchema.statics.findByFacilities = function(campusId, facilities) {
   });
 };
 
+boardroomSchema.plugin(auditPlugin);
+
 const Boardroom = mongoose.model('Boardroom', boardroomSchema);
 
+Boardroom.FACILITIES = FACILITIES;
+Boardroom.STATUSES = STATUSES;
+Boardroom.DAYS = DAYS;
+Boardroom.TIME_PATTERN = TIME_PATTERN;
+
 module.exports = Boardroom;
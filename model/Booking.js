@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const closures = require('../services/closures');
+const timeZones = require('../services/timeZones');
 
 const bookingSchema = new mongoose.Schema({
   boardroom: {
@@ -121,6 +123,20 @@ bookingSchema.pre('save', async function(next) {
   next();
 });
 
+// Validate that the boardroom's campus is open on every booked day
+bookingSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('startTime') || this.isModified('endTime') || this.isModified('boardroom')) {
+    const boardroom = await mongoose.model('Boardroom').findById(this.boardroom).select('campus');
+    if (boardroom) {
+      const closed = await closures.findClosureDuring(boardroom.campus, this.startTime, this.endTime);
+      if (closed) {
+        return next(new Error(`The campus is closed on ${closed.date} (${closed.closure.name})`));
+      }
+    }
+  }
+  next();
+});
+
 // Method to check if booking is active
 bookingSchema.methods.isActive = function() {
   const now = new Date();
@@ -142,43 +158,44 @@ bookingSchema.methods.getSummary = function() {
   return bookingObject;
 };
 
-// Static method to find available time slots
+// Static method to find available time slots. `date` is a campus-local
+// YYYY-MM-DD date (a Date is converted to the campus's date at that
+// instant); operating hours are read in the campus's time zone.
 bookingSchema.statics.findAvailableSlots = async function(boardroomId, date, duration) {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
-
-  const bookings = await this.find({
-    boardroom: boardroomId,
-    status: { $in: ['pending', 'confirmed'] },
-    startTime: { $gte: startOfDay },
-    endTime: { $lte: endOfDay }
-  }).sort({ startTime: 1 });
-
   // Get boardroom operating hours
   const boardroom = await mongoose.model('Boardroom').findById(boardroomId);
   if (!boardroom) {
     throw new Error('Boardroom not found');
   }
 
-  const dayOfWeek = date.toLocaleLowerCase().split(',')[0];
+  const timeZone = await mongoose.model('Campus').getTimeZone(boardroom.campus);
+  const dateKey = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+    ? date
+    : timeZones.toDateKey(date, timeZone);
+
+  // No slots on days the campus is closed
+  if (await closures.findClosedDate(boardroom.campus, dateKey, dateKey)) {
+    return [];
+  }
+
+  const dayOfWeek = closures.getDayName(dateKey);
   const operatingHours = boardroom.operatingHours[dayOfWeek];
   
   if (!operatingHours || !operatingHours.open || !operatingHours.close) {
     throw new Error('Boardroom is not operational on this day');
   }
 
-  // Convert operating hours to Date objects
-  const [openHour, openMinute] = operatingHours.open.split(':');
-  const [closeHour, closeMinute] = operatingHours.close.split(':');
-  
-  const openTime = new Date(date);
-  openTime.setHours(parseInt(openHour), parseInt(openMinute), 0, 0);
-  
-  const closeTime = new Date(date);
-  closeTime.setHours(parseInt(closeHour), parseInt(closeMinute), 0, 0);
+  // Opening and closing instants of that day in the campus's zone; on days
+  // when clocks change the day is shorter or longer than 24 hours
+  const openTime = timeZones.fromLocal(dateKey, operatingHours.open, timeZone);
+  const closeTime = timeZones.fromLocal(dateKey, operatingHours.close, timeZone);
+
+  const bookings = await this.find({
+    boardroom: boardroomId,
+    status: { $in: ['pending', 'confirmed'] },
+    startTime: { $lt: closeTime },
+    endTime: { $gt: openTime }
+  }).sort({ startTime: 1 });
 
   // Find available slots
   const availableSlots = [];
@@ -190,15 +207,16 @@ bookingSchema.statics.findAvailableSlots = async function(boardroomId, date, dur
     if (slotEnd > closeTime) break;
 
     const isSlotAvailable = !bookings.some(booking => 
-      (currentTime >= booking.startTime && currentTime < booking.endTime) ||
-      (slotEnd > booking.startTime && slotEnd <= booking.endTime) ||
-      (currentTime <= booking.startTime && slotEnd >= booking.endTime)
+      currentTime < booking.endTime && slotEnd > booking.startTime
     );
 
     if (isSlotAvailable) {
       availableSlots.push({
         startTime: new Date(currentTime),
-        endTime: new Date(slotEnd)
+        endTime: new Date(slotEnd),
+        localStartTime: timeZones.formatLocal(currentTime, timeZone),
+        localEndTime: timeZones.formatLocal(slotEnd, timeZone),
+        timeZone
       });
     }
 
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+const buildingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  campus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campus',
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Compound index for unique building code within a campus
+buildingSchema.index({ campus: 1, code: 1 }, { unique: true });
+
+buildingSchema.plugin(auditPlugin);
+
+const Building = mongoose.model('Building', buildingSchema);
+
+module.exports = Building;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const softDeletePlugin = require('./plugins/softDelete');
+const timeZones = require('../services/timeZones');
 
 const campusSchema = new mongoose.Schema({
   name: {
@@ -7,6 +10,13 @@ const campusSchema = new mongoose.Schema({
     trim: true,
     unique: true
   }, 
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true
+  },
   description: {
     type: String,
     trim: true
@@ -16,10 +26,28 @@ const campusSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // IANA zone that operating hours, schedules and bookings are read in
+  timeZone: {
+    type: String,
+    trim: true,
+    default: timeZones.DEFAULT_TIME_ZONE,
+    validate: {
+      validator: timeZones.isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
   }, 
+  // Campus this one was merged into or retired in favour of
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campus'
+  },
+  replacedAt: {
+    type: Date
+  }
 }, {
   timestamps: true
 });
@@ -32,6 +60,14 @@ campusSchema.methods.getSummary = function() {
   return campusObject;
 };
 
+// Static method to get a campus's time zone (deleted campuses included)
+campusSchema.statics.getTimeZone = async function(campusId) {
+  const campus = await this.findById(campusId).withDeleted().select('timeZone');
+  return (campus && campus.timeZone) || timeZones.DEFAULT_TIME_ZONE;
+};
+
+campusSchema.plugin(softDeletePlugin);
+campusSchema.plugin(auditPlugin);
 
 const Campus = mongoose.model('Campus', campusSchema);
 
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+// Calendar dates are stored as YYYY-MM-DD strings: a holiday falls on the
+// same date wherever it is read, without time zone conversion
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const campusClosureSchema = new mongoose.Schema({
+  campus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campus',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['closure', 'public_holiday', 'exam_period'],
+    required: true
+  },
+  // First and last day, inclusive
+  startDate: {
+    type: String,
+    required: true,
+    match: DATE_PATTERN
+  },
+  endDate: {
+    type: String,
+    required: true,
+    match: DATE_PATTERN
+  },
+  // Yearly entries repeat on the same month and day every year from startDate
+  recurrence: {
+    type: String,
+    enum: ['none', 'yearly'],
+    default: 'none'
+  },
+  // Whether the campus is closed; exam periods are usually open but noted
+  closed: {
+    type: Boolean,
+    default: function() {
+      return this.type !== 'exam_period';
+    }
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // iCalendar UID of imported entries, so a re-import updates them
+  importUid: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+campusClosureSchema.index({ campus: 1, startDate: 1 });
+campusClosureSchema.index(
+  { campus: 1, importUid: 1 },
+  { unique: true, partialFilterExpression: { importUid: { $type: 'string' } } }
+);
+
+// A type change resets `closed` to the new type's default unless it was set too
+campusClosureSchema.pre('validate', function(next) {
+  if (this.isModified('type') && !this.isModified('closed')) {
+    this.closed = this.type !== 'exam_period';
+  }
+  next();
+});
+
+// Validate that the last day is not before the first
+campusClosureSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before start date');
+  } else if (this.recurrence === 'yearly' && this.startDate && this.endDate &&
+      this.endDate > `${parseInt(this.startDate.slice(0, 4)) + 1}${this.startDate.slice(4)}`) {
+    this.invalidate('endDate', 'A yearly closure cannot last longer than a year');
+  }
+  next();
+});
+
+// Method to check whether the closure falls on a YYYY-MM-DD date
+campusClosureSchema.methods.occursOn = function(date) {
+  if (date < this.startDate) return false;
+  if (this.recurrence !== 'yearly') return date <= this.endDate;
+
+  // Compare month and day; a span may run over the new year (Dec 24 - Jan 2)
+  const monthDay = date.slice(5);
+  const start = this.startDate.slice(5);
+  const end = this.endDate.slice(5);
+  const spansNewYear = this.endDate.slice(0, 4) > this.startDate.slice(0, 4);
+  return spansNewYear
+    ? monthDay >= start || monthDay <= end
+    : monthDay >= start && monthDay <= end;
+};
+
+campusClosureSchema.plugin(auditPlugin);
+
+const CampusClosure = mongoose.model('CampusClosure', campusClosureSchema);
+
+CampusClosure.DATE_PATTERN = DATE_PATTERN;
+
+module.exports = CampusClosure;
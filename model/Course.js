@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const courseSchema = new mongoose.Schema({
   code: {
@@ -77,9 +79,14 @@ const courseSchema = new mongoose.Schema({
         required: true,
         match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
       },
+      room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room'
+      },
+      // Free-text venue from before rooms were recorded; kept until the
+      // entry is linked to a room (see scripts/migrateScheduleLocations.js)
       location: {
         type: String,
-        required: true,
         trim: true
       }
     }],
@@ -157,6 +164,18 @@ courseSchema.pre('save', function(next) {
   next();
 });
 
+// Validate that every schedule entry has a venue
+courseSchema.pre('save', function(next) {
+  for (const offering of this.campuses) {
+    for (const session of offering.schedule) {
+      if (!session.room && !session.location) {
+        return next(new Error(`A room is required for schedule in campus offering ${offering.campus}`));
+      }
+    }
+  }
+  next();
+});
+
 // Method to check if course is offered in a specific campus
 courseSchema.methods.isOfferedInCampus = function(campusId) {
   return this.campuses.some(offering => 
@@ -196,8 +215,9 @@ courseSchema.statics.findByCampus = function(campusId, semester, year) {
   }
 
   return this.find(query)
-    .populate('campuses.campus', 'name code')
-    .populate('campuses.instructor', 'firstName lastName email');
+    .populate('campuses.campus', 'name code timeZone')
+    .populate('campuses.instructor', 'firstName lastName email')
+    .populate('campuses.schedule.room', 'name code building floor');
 };
 
 // Static method to find courses by instructor
@@ -213,9 +233,12 @@ courseSchema.statics.findByInstructor = function(instructorId, semester, year) {
   }
 
   return this.find(query)
-    .populate('campuses.campus', 'name code');
+    .populate('campuses.campus', 'name code timeZone');
 };
 
+courseSchema.plugin(softDeletePlugin);
+courseSchema.plugin(auditPlugin);
+
 const Course = mongoose.model('Course', courseSchema);
 
 module.exports = Course;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+const floorSchema = new mongoose.Schema({
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+  // Copied from the building so floors can be filtered by campus
+  campus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campus',
+    required: true
+  },
+  // 0 is the ground floor; basements are negative
+  level: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Compound index for unique level within a building
+floorSchema.index({ building: 1, level: 1 }, { unique: true });
+
+floorSchema.plugin(auditPlugin);
+
+const Floor = mongoose.model('Floor', floorSchema);
+
+module.exports = Floor;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+const impersonationSchema = new mongoose.Schema({
+  // The administrator acting as the target user
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The actor's own session; revoking it ends the impersonation too
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for reviewing impersonations by actor or target
+impersonationSchema.index({ actor: 1, createdAt: -1 });
+impersonationSchema.index({ target: 1, createdAt: -1 });
+
+// Method to check if the impersonation can still be used
+impersonationSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+impersonationSchema.plugin(auditPlugin);
+
+const Impersonation = mongoose.model('Impersonation', impersonationSchema);
+
+module.exports = Impersonation;
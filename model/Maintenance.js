@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
 
 const maintenanceSchema = new mongoose.Schema({
   boardroom: {
@@ -270,6 +271,8 @@ maintenanceSchema.statics.getStats = async function(boardroomId) {
   };
 };
 
+maintenanceSchema.plugin(auditPlugin);
+
 const Maintenance = mongoose.model('Maintenance', maintenanceSchema);
 
 module.exports = Maintenance;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const notificationConfig = require('../config/notifications');
+
+// A notification email held back for the recipient's next digest
+const queuedNotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: notificationConfig.CATEGORIES,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+queuedNotificationSchema.index({ user: 1, createdAt: 1 });
+
+const QueuedNotification = mongoose.model('QueuedNotification', queuedNotificationSchema);
+
+module.exports = QueuedNotification;
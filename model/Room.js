@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+// Kinds of teaching venue (boardrooms have their own model)
+const ROOM_TYPES = [
+  'lecture_hall',
+  'classroom',
+  'laboratory',
+  'computer_lab',
+  'seminar_room',
+  'auditorium',
+  'other'
+];
+
+const roomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ROOM_TYPES,
+    required: true
+  },
+  // Building and campus are copied from the floor
+  floor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Floor',
+    required: true
+  },
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+  campus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campus',
+    required: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Compound index for unique room code within a campus
+roomSchema.index({ campus: 1, code: 1 }, { unique: true });
+roomSchema.index({ floor: 1 });
+
+// Method to place the room on a floor, taking its building and campus
+roomSchema.methods.setFloor = function(floor) {
+  this.floor = floor._id;
+  this.building = floor.building;
+  this.campus = floor.campus;
+};
+
+roomSchema.plugin(auditPlugin);
+
+const Room = mongoose.model('Room', roomSchema);
+
+Room.ROOM_TYPES = ROOM_TYPES;
+
+module.exports = Room;
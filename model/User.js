@@ -1,5 +1,27 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const softDeletePlugin = require('./plugins/softDelete');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+const { passwordPolicy } = require('../config/security');
+const notificationConfig = require('../config/notifications');
+
+// Channels and delivery mode for one notification category
+const notificationPreferenceSchema = new mongoose.Schema({
+  email: {
+    type: Boolean,
+    default: notificationConfig.DEFAULT_PREFERENCE.email
+  },
+  inApp: {
+    type: Boolean,
+    default: notificationConfig.DEFAULT_PREFERENCE.inApp
+  },
+  delivery: {
+    type: String,
+    enum: notificationConfig.DELIVERY_MODES,
+    default: notificationConfig.DEFAULT_PREFERENCE.delivery
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({  
   email: {
@@ -9,14 +31,20 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // Unset for accounts created without a password (e.g. bulk imports)
+  // until the user chooses one through the emailed setup link
   password: {
     type: String,
-    required: true,
     minlength: 6
   },
+  // Hashes of the most recent passwords, newest (the current one) first
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   role: {
     type: String,
-    enum: ['student', 'teacher', 'admin staff'],
+    enum: ROLES,
     default: 'student'
   },
   firstName: {
@@ -48,8 +76,98 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Left unset on accounts created before email verification was introduced;
+  // only an explicit false blocks login
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  verificationEmailSentAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date
+  },
+  // One entry per category in config/notifications
+  notificationPreferences: notificationConfig.CATEGORIES.reduce((preferences, category) => {
+    preferences[category] = {
+      type: notificationPreferenceSchema,
+      default: () => ({})
+    };
+    return preferences;
+  }, {}),
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
+  // Accounts created by invitation stay pending, without a password,
+  // until the invitee accepts and chooses one
+  invitation: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: {
+      type: Date
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: {
+      type: Date
+    },
+    acceptedAt: {
+      type: Date
+    }
+  },
+  // Set when the user's personal data has been erased on request; the
+  // anonymised record is kept so references from other documents still resolve
+  erasedAt: {
+    type: Date
+  },
+  erasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  passwordReset: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      select: false
+    }
   }
 }, {
   timestamps: true
@@ -59,13 +177,19 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ identification: 1 }, { unique: true, sparse: true });
 
-// Hash password before saving
+// Hash password before saving (a removed password is left unset)
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Only extend a history that was loaded, so it is never overwritten blindly
+    if (this.isNew || this.isSelected('passwordHistory')) {
+      this.passwordHistory = [this.password, ...(this.passwordHistory || [])]
+        .slice(0, passwordPolicy.historySize);
+    }
     next();
   } catch (error) {
     next(error);
@@ -82,17 +206,37 @@ userSchema.pre('save', function(next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check if the user was invited and has not accepted yet
+userSchema.methods.hasPendingInvitation = function() {
+  return Boolean(this.invitation && this.invitation.sentAt && !this.invitation.acceptedAt);
+};
+
 // Method to get public profile (excluding sensitive data)
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
+  delete userObject.passwordReset;
+  if (userObject.invitation) {
+    delete userObject.invitation.tokenHash;
+  }
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   delete userObject.__v;
   return userObject;
 };
 
+userSchema.plugin(softDeletePlugin);
+userSchema.plugin(auditPlugin);
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -0,0 +1,195 @@
+const AuditLog = require('../AuditLog');
+const requestContext = require('../../services/requestContext');
+const { auditLog: auditConfig } = require('../../config/security');
+
+// Never written to the audit log, only marked as changed
+const REDACTED_FIELDS = ['password', 'passwordHistory', 'passwordReset', 'twoFactor.secret', 'twoFactor.pendingSecret', 'twoFactor.recoveryCodes', 'invitation.tokenHash', 'keyHash'];
+// Bookkeeping that does not count as a change on its own
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'lastLogin', 'verificationEmailSentAt', 'twoFactor.lastUsedStep'];
+
+const REDACTED = '[REDACTED]';
+const STATE_CHANGING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+};
+
+const matches = (path, fields) => {
+  return fields.some(field => path === field || path.startsWith(`${field}.`));
+};
+
+// Flatten nested objects (not arrays) into dotted paths
+const flatten = (object, prefix = '', result = {}) => {
+  for (const [key, value] of Object.entries(object || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  }
+  return result;
+};
+
+// Field-level differences between two snapshots
+const diff = (before, after) => {
+  const from = flatten(before);
+  const to = flatten(after);
+  const paths = new Set([...Object.keys(from), ...Object.keys(to)]);
+  const changes = [];
+
+  for (const path of paths) {
+    if (matches(path, IGNORED_FIELDS)) continue;
+    if (JSON.stringify(from[path]) === JSON.stringify(to[path])) continue;
+
+    const redact = matches(path, REDACTED_FIELDS);
+    changes.push({
+      field: path,
+      from: redact && from[path] !== undefined ? REDACTED : from[path],
+      to: redact && to[path] !== undefined ? REDACTED : to[path]
+    });
+  }
+  return changes;
+};
+
+const snapshot = (doc) => {
+  if (!doc) return null;
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+// Only state-changing API requests are audited
+const getAuditedRequest = () => {
+  const req = requestContext.getRequest();
+  if (!req || !STATE_CHANGING_METHODS.includes(req.method)) {
+    return null;
+  }
+  return req;
+};
+
+const getExpiresAt = () => {
+  const retentionDays = auditConfig.retentionDays;
+  return retentionDays > 0 ? new Date(Date.now() + retentionDays * 86400000) : undefined;
+};
+
+// Who made a change and from where
+const getRequestFields = (req) => {
+  return {
+    // While impersonating, the administrator is the actor
+    actor: req.impersonator ? req.impersonator._id : (req.user ? req.user._id : undefined),
+    impersonatedUser: req.impersonator ? req.user._id : undefined,
+    apiKey: req.apiKey ? req.apiKey._id : undefined,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  };
+};
+
+// Build an audit entry for a change made during the current request
+const buildEntry = (req, modelName, operation, before, after) => {
+  const changes = diff(before, after);
+  if (operation === 'update' && changes.length === 0) return null;
+
+  const target = after || before;
+
+  return {
+    ...getRequestFields(req),
+    action: req.permission || `${modelName.toLowerCase()}:${operation}`,
+    operation,
+    targetModel: modelName,
+    targetId: target._id,
+    changes,
+    expiresAt: getExpiresAt()
+  };
+};
+
+// Auditing must never break the request it describes, so failures are only
+// logged. Changes made in a transaction are recorded in the same `session`,
+// so an aborted (or retried) transaction leaves no entry behind.
+const record = async (modelName, operation, before, after, session) => {
+  const req = getAuditedRequest();
+  if (!req) return;
+
+  try {
+    const entry = buildEntry(req, modelName, operation, before, after);
+    if (entry) await AuditLog.create([entry], { session });
+  } catch (error) {
+    console.log('Error writing audit log:', error);
+  }
+};
+
+// Record a bulk change made with query updates (updateMany etc.), which the
+// plugin hooks do not see. Unlike the hooks this also writes outside API
+// requests, and errors are thrown so a transaction (`session`) can abort.
+const recordBulkChange = async ({ action, targetModel, targetId, changes = [], details, actor }, { session } = {}) => {
+  const req = getAuditedRequest();
+  const entry = {
+    ...(req ? getRequestFields(req) : { actor }),
+    action,
+    operation: 'update',
+    targetModel,
+    targetId,
+    changes,
+    details,
+    expiresAt: getExpiresAt()
+  };
+  await AuditLog.create([entry], { session });
+};
+
+// Mongoose plugin recording creates, updates and deletes made during API
+// requests, with the acting user and a field-level before/after diff
+module.exports = function auditPlugin(schema) {
+  // Remember loaded values so saves can be diffed
+  schema.post('init', function() {
+    if (getAuditedRequest()) {
+      this.$locals.auditBefore = this.toObject({ depopulate: true });
+    }
+  });
+
+  schema.pre('save', function() {
+    this.$locals.auditIsNew = this.isNew;
+  });
+
+  schema.post('save', async function(doc) {
+    const before = doc.$locals.auditIsNew ? null : doc.$locals.auditBefore;
+    const after = snapshot(doc);
+    await record(doc.constructor.modelName, doc.$locals.auditIsNew ? 'create' : 'update', before, after, doc.$session());
+    doc.$locals.auditBefore = after;
+  });
+
+  schema.pre('findOneAndUpdate', async function() {
+    if (getAuditedRequest()) {
+      this._auditBefore = await this.model.findOne(this.getFilter()).session(this.getOptions().session || null).lean();
+    }
+  });
+
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (!this._auditBefore) return;
+    const { session } = this.getOptions();
+    const after = this.getOptions().new ? doc : await this.model.findById(this._auditBefore._id).session(session || null).lean();
+    await record(this.model.modelName, 'update', this._auditBefore, snapshot(after), session);
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (!doc) return;
+    await record(this.model.modelName, 'delete', snapshot(doc), null, this.getOptions().session);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await record(doc.constructor.modelName, 'delete', snapshot(doc), null, doc.$session());
+  });
+
+  schema.post('insertMany', async function(docs) {
+    const req = getAuditedRequest();
+    if (!req) return;
+
+    try {
+      const entries = docs.map(doc => buildEntry(req, this.modelName, 'create', null, snapshot(doc)));
+      await AuditLog.insertMany(entries);
+    } catch (error) {
+      console.log('Error writing audit log:', error);
+    }
+  });
+};
+
+module.exports.recordBulkChange = recordBulkChange;
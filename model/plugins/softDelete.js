@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Query operations that hide soft-deleted documents unless asked not to
+const QUERY_OPERATIONS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'updateOne',
+  'updateMany'
+];
+
+// Mongoose plugin adding deletedAt/deletedBy. Deleted documents are hidden
+// from queries (and therefore from populate) and aggregations by default;
+// use the withDeleted()/onlyDeleted() query helpers to see them.
+module.exports = function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.query.withDeleted = function() {
+    this._softDeleteMode = 'all';
+    return this;
+  };
+
+  schema.query.onlyDeleted = function() {
+    this._softDeleteMode = 'only';
+    return this;
+  };
+
+  schema.pre(QUERY_OPERATIONS, function() {
+    // An explicit deletedAt condition takes precedence
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+
+    if (this._softDeleteMode === 'all') return;
+    if (this._softDeleteMode === 'only') {
+      this.where({ deletedAt: { $ne: null } });
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const [firstStage] = this.pipeline();
+    if (firstStage && firstStage.$match && 'deletedAt' in firstStage.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Method to move the document to the trash
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  // Method to bring the document back from the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+
+  // Static method to permanently remove documents deleted before a date
+  schema.statics.purgeDeleted = function(before) {
+    return this.deleteMany({ deletedAt: { $ne: null, $lt: before } });
+  };
+};
@@ -0,0 +1,140 @@
+const express = require('express');
+const { check, param, query } = require('express-validator');
+const boardroomController = require('../controller/boardroomController');
+const authorize = require('../middleware/authorize');
+const Boardroom = require('../model/Boardroom');
+
+const router = express.Router();
+
+// Operating hours: { <day>: { open: "HH:MM", close: "HH:MM" } }, in the
+// campus's time zone; a day left out is closed
+const operatingHoursValidation = [
+  check('operatingHours')
+    .optional()
+    .isObject()
+    .withMessage('Operating hours must be an object keyed by day')
+    .custom(hours => Object.keys(hours).every(day => Boardroom.DAYS.includes(day)))
+    .withMessage(`Operating hours days must be one of: ${Boardroom.DAYS.join(', ')}`),
+  check('operatingHours.*.open')
+    .optional({ values: 'falsy' })
+    .matches(Boardroom.TIME_PATTERN)
+    .withMessage('Invalid opening time format (HH:MM)'),
+  check('operatingHours.*.close')
+    .optional({ values: 'falsy' })
+    .matches(Boardroom.TIME_PATTERN)
+    .withMessage('Invalid closing time format (HH:MM)'),
+  check('operatingHours.*')
+    .custom(hours => {
+      if (!hours || (!hours.open && !hours.close)) return true;
+      if (!hours.open || !hours.close) return false;
+      const toMinutes = (time) => time.split(':').reduce((hoursPart, minutes) => hoursPart * 60 + Number(minutes), 0);
+      return toMinutes(hours.close) > toMinutes(hours.open);
+    })
+    .withMessage('Each day needs an opening time before its closing time')
+];
+
+const boardroomFields = [
+  check('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Boardroom name must be between 2 and 100 characters'),
+  check('code')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Boardroom code must be between 1 and 20 characters'),
+  check('capacity')
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be at least 1')
+    .toInt(),
+  check('facilities')
+    .optional()
+    .isArray()
+    .withMessage('Facilities must be a list'),
+  check('facilities.*')
+    .isIn(Boardroom.FACILITIES)
+    .withMessage('Invalid facility'),
+  check('status')
+    .optional()
+    .isIn(Boardroom.STATUSES)
+    .withMessage('Invalid boardroom status'),
+  check('floor')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid floor ID'),
+  check('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  ...operatingHoursValidation
+];
+
+const boardroomValidation = [
+  check('campus')
+    .isMongoId()
+    .withMessage('Invalid campus ID'),
+  ...boardroomFields
+];
+
+const boardroomQueryValidation = [
+  query('campus')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid campus ID'),
+  query('status')
+    .optional()
+    .isIn(Boardroom.STATUSES)
+    .withMessage('Invalid boardroom status'),
+  query('minCapacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('minCapacity must be a positive whole number'),
+  query('maxCapacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('maxCapacity must be a positive whole number'),
+  query('facilities')
+    .optional()
+    .custom(value => value.split(',').every(facility => Boardroom.FACILITIES.includes(facility)))
+    .withMessage(`Facilities must be a comma-separated list of: ${Boardroom.FACILITIES.join(', ')}`)
+];
+
+// A window needs times of day; date-only values are rejected
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+const availabilityValidation = [
+  query('campus')
+    .isMongoId()
+    .withMessage('Invalid campus ID'),
+  query('start')
+    .isISO8601({ strict: true })
+    .matches(DATE_TIME_PATTERN)
+    .withMessage('Invalid start time (use a date and time, e.g. 2026-10-19T09:00)'),
+  query('end')
+    .isISO8601({ strict: true })
+    .matches(DATE_TIME_PATTERN)
+    .withMessage('Invalid end time (use a date and time, e.g. 2026-10-19T09:00)'),
+  query('minCapacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('minCapacity must be a positive whole number'),
+  query('facilities')
+    .optional()
+    .custom(value => value.split(',').every(facility => Boardroom.FACILITIES.includes(facility)))
+    .withMessage(`Facilities must be a comma-separated list of: ${Boardroom.FACILITIES.join(', ')}`)
+];
+
+// Boardroom routes
+router.post('/', authorize('boardrooms:create'), boardroomValidation, boardroomController.createBoardroom);
+router.get('/', authorize('boardrooms:read'), boardroomQueryValidation, boardroomController.getBoardrooms);
+router.get('/availability', authorize('boardrooms:read'), availabilityValidation, boardroomController.getAvailability);
+router.get('/:id', authorize('boardrooms:read'), param('id').isMongoId(), boardroomController.getBoardroomById);
+router.get('/:id/summary', authorize('boardrooms:read'), param('id').isMongoId(), boardroomController.getBoardroomSummary);
+router.put('/:id', authorize('boardrooms:update'), [
+  param('id').isMongoId(),
+  ...boardroomFields
+], boardroomController.updateBoardroom);
+router.delete('/:id', authorize('boardrooms:delete'), param('id').isMongoId(), boardroomController.deleteBoardroom);
+router.put('/:id/toggle-status', authorize('boardrooms:toggle-status'), param('id').isMongoId(), boardroomController.toggleBoardroomStatus);
+
+module.exports = router;
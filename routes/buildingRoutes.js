@@ -0,0 +1,78 @@
+const express = require('express');
+const { check, param } = require('express-validator');
+const buildingController = require('../controller/buildingController');
+const authorize = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Validation middleware
+const buildingFields = [
+  check('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Building name must be between 2 and 100 characters'),
+  check('code')
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Building code must be between 1 and 10 characters'),
+  check('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+const buildingValidation = [
+  check('campus')
+    .isMongoId()
+    .withMessage('Invalid campus ID'),
+  ...buildingFields
+];
+
+const buildingUpdateValidation = [
+  param('id').isMongoId(),
+  ...buildingFields,
+  check('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+const floorValidation = [
+  param('id').isMongoId(),
+  check('level')
+    .isInt({ min: -10, max: 200 })
+    .withMessage('Floor level must be a whole number between -10 and 200')
+    .toInt(),
+  check('name')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Floor name cannot exceed 50 characters')
+];
+
+const floorUpdateValidation = [
+  param('floorId').isMongoId(),
+  ...floorValidation,
+  check('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+// Building routes
+router.post('/', authorize('buildings:create'), buildingValidation, buildingController.createBuilding);
+router.get('/', authorize('buildings:read'), buildingController.getBuildings);
+router.get('/:id', authorize('buildings:read'), param('id').isMongoId(), buildingController.getBuildingById);
+router.put('/:id', authorize('buildings:update'), buildingUpdateValidation, buildingController.updateBuilding);
+router.delete('/:id', authorize('buildings:delete'), param('id').isMongoId(), buildingController.deleteBuilding);
+
+// Floor routes
+router.post('/:id/floors', authorize('buildings:update'), floorValidation, buildingController.createFloor);
+router.put('/:id/floors/:floorId', authorize('buildings:update'), floorUpdateValidation, buildingController.updateFloor);
+router.delete('/:id/floors/:floorId', authorize('buildings:update'), [
+  param('id').isMongoId(),
+  param('floorId').isMongoId()
+], buildingController.deleteFloor);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { check, param } = require('express-validator');
 const courseController = require('../controller/courseController');
+const authorize = require('../middleware/authorize');
 
 const router = express.Router();
 
@@ -55,10 +56,13 @@ const offeringValidation = [
   check('schedule.*.endTime')
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('Invalid end time format (HH:MM)'),
+  check('schedule.*.room')
+    .isMongoId()
+    .withMessage('Invalid room ID'),
   check('schedule.*.location')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Location must be between 2 and 50 characters'),
+    .not()
+    .exists()
+    .withMessage('Free-text locations are no longer accepted; use room instead'),
   check('instructor')
     .isMongoId()
     .withMessage('Invalid instructor ID'),
@@ -68,30 +72,37 @@ const offeringValidation = [
 ];
 
 // Course routes
-router.post('/', courseValidation, courseController.createCourse);
-router.get('/', courseController.getCourses);
-router.get('/search', courseController.searchCourses);
-router.get('/:id', param('id').isMongoId(), courseController.getCourseById);
-router.put('/:id', [
+router.post('/', authorize('courses:create'), courseValidation, courseController.createCourse);
+router.get('/', authorize('courses:read'), courseController.getCourses);
+router.get('/search', authorize('courses:read'), courseController.searchCourses);
+router.get('/trash', authorize('courses:restore'), courseController.getDeletedCourses);
+router.get('/:id', authorize('courses:read'), param('id').isMongoId(), courseController.getCourseById);
+router.put('/:id', authorize('courses:update'), [
   param('id').isMongoId(),
   ...courseValidation
 ], courseController.updateCourse);
-router.delete('/:id', param('id').isMongoId(), courseController.deleteCourse);
-router.get('/:id/stats', param('id').isMongoId(), courseController.getCourseStats);
+router.delete('/:id', authorize('courses:delete'), param('id').isMongoId(), courseController.deleteCourse);
+router.get('/:id/stats', authorize('courses:stats'), param('id').isMongoId(), courseController.getCourseStats);
+router.put('/:id/restore', authorize('courses:restore'), param('id').isMongoId(), courseController.restoreCourse);
 
 // Campus offering routes
-router.post('/:id/offerings', [
+router.post('/:id/offerings', authorize('courses:manage-offerings'), [
   param('id').isMongoId(),
   ...offeringValidation
 ], courseController.addCampusOffering);
 
-router.put('/:id/offerings/:offeringId', [
+router.put('/:id/offerings/:offeringId', authorize('courses:manage-offerings'), [
   param('id').isMongoId(),
   param('offeringId').isMongoId(),
   ...offeringValidation
 ], courseController.updateCampusOffering);
 
-router.delete('/:id/offerings/:offeringId', [
+router.get('/:id/offerings/:offeringId/closures', authorize('courses:read'), [
+  param('id').isMongoId(),
+  param('offeringId').isMongoId()
+], courseController.getOfferingClosures);
+
+router.delete('/:id/offerings/:offeringId', authorize('courses:manage-offerings'), [
   param('id').isMongoId(),
   param('offeringId').isMongoId()
 ], courseController.removeCampusOffering);
@@ -1,6 +1,7 @@
 const express = require('express');
 const { check, param } = require('express-validator');
 const maintenanceController = require('../controller/maintenanceController');
+const authorize = require('../middleware/authorize');
 
 const router = express.Router();
 
@@ -72,37 +73,37 @@ const noteValidation = [
 ];
 
 // Maintenance routes
-router.post('/', maintenanceValidation, maintenanceController.createMaintenance);
-router.get('/', maintenanceController.getMaintenanceRequests);
-router.get('/overdue', maintenanceController.getOverdueMaintenance);
-router.get('/stats', maintenanceController.getMaintenanceStats);
-router.get('/:id', param('id').isMongoId(), maintenanceController.getMaintenanceById);
-router.put('/:id', [
+router.post('/', authorize('maintenance:create'), maintenanceValidation, maintenanceController.createMaintenance);
+router.get('/', authorize('maintenance:read'), maintenanceController.getMaintenanceRequests);
+router.get('/overdue', authorize('maintenance:read'), maintenanceController.getOverdueMaintenance);
+router.get('/stats', authorize('maintenance:read'), maintenanceController.getMaintenanceStats);
+router.get('/:id', authorize('maintenance:read'), param('id').isMongoId(), maintenanceController.getMaintenanceById);
+router.put('/:id', authorize('maintenance:update'), [
   param('id').isMongoId(),
   ...maintenanceValidation
 ], maintenanceController.updateMaintenance);
-router.delete('/:id', param('id').isMongoId(), maintenanceController.deleteMaintenance);
+router.delete('/:id', authorize('maintenance:delete'), param('id').isMongoId(), maintenanceController.deleteMaintenance);
 
 // Assignment routes
-router.post('/:id/assign', [
+router.post('/:id/assign', authorize('maintenance:assign'), [
   param('id').isMongoId(),
   ...assignmentValidation
 ], maintenanceController.assignMaintenance);
 
 // Status update route
-router.put('/:id/status', [
+router.put('/:id/status', authorize('maintenance:update-status'), [
   param('id').isMongoId(),
   ...statusValidation
 ], maintenanceController.updateStatus);
 
 // Note routes
-router.post('/:id/notes', [
+router.post('/:id/notes', authorize('maintenance:add-note'), [
   param('id').isMongoId(),
   ...noteValidation
 ], maintenanceController.addNote);
 
 // Cost update route
-router.put('/:id/cost', [
+router.put('/:id/cost', authorize('maintenance:approve-cost'), [
   param('id').isMongoId(),
   ...costValidation
 ], maintenanceController.updateCost);
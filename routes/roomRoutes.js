@@ -0,0 +1,50 @@
+const express = require('express');
+const { check, param } = require('express-validator');
+const roomController = require('../controller/roomController');
+const authorize = require('../middleware/authorize');
+const Room = require('../model/Room');
+
+const router = express.Router();
+
+// Validation middleware
+const roomValidation = [
+  check('floor')
+    .isMongoId()
+    .withMessage('Invalid floor ID'),
+  check('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Room name must be between 2 and 100 characters'),
+  check('code')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Room code must be between 1 and 20 characters'),
+  check('type')
+    .isIn(Room.ROOM_TYPES)
+    .withMessage('Invalid room type'),
+  check('capacity')
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be at least 1')
+    .toInt(),
+  check('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+// Room routes
+router.post('/', authorize('rooms:create'), roomValidation, roomController.createRoom);
+router.get('/', authorize('rooms:read'), roomController.getRooms);
+router.get('/:id', authorize('rooms:read'), param('id').isMongoId(), roomController.getRoomById);
+router.put('/:id', authorize('rooms:update'), [
+  param('id').isMongoId(),
+  ...roomValidation,
+  check('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+], roomController.updateRoom);
+router.delete('/:id', authorize('rooms:delete'), param('id').isMongoId(), roomController.deleteRoom);
+
+module.exports = router;
@@ -1,37 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { check, param } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const userController = require('../controller/userController');
 const campusController = require('../controller/campusController');
 const courseController = require('../controller/courseController');
+const sessionController = require('../controller/sessionController');
+const twoFactorController = require('../controller/twoFactorController');
+const userImportController = require('../controller/userImportController');
+const auditLogController = require('../controller/auditLogController');
+const personalDataController = require('../controller/personalDataController');
+const apiKeyController = require('../controller/apiKeyController');
+const invitationController = require('../controller/invitationController');
+const impersonationController = require('../controller/impersonationController');
+const notificationPreferenceController = require('../controller/notificationPreferenceController');
 const courseRoutes = require('./courseRoutes');
 const maintenanceRoutes = require('./maintenanceRoutes');
+const buildingRoutes = require('./buildingRoutes');
+const roomRoutes = require('./roomRoutes');
+const boardroomRoutes = require('./boardroomRoutes');
+const buildingController = require('../controller/buildingController');
+const closureController = require('../controller/closureController');
+const { authenticate, allowBootstrap, rejectApiKey, rejectImpersonation, requireTwoFactorSetup } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const requestContext = require('../services/requestContext');
+const timeZones = require('../services/timeZones');
+const { userValidation, userInvitationValidation } = require('../validation/userValidation');
 
 // Validation middleware
-const userValidation = [ 
-  check('email')
-    .isEmail()
-    .withMessage('Please provide a valid email')
-    .normalizeEmail(),
-  check('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
-  check('firstName')
-    .trim()
-    .notEmpty()
-    .withMessage('First name is required'),
-  check('lastName')
-    .trim()
-    .notEmpty()
-    .withMessage('Last name is required'),
-  check('role')
-    .isIn(['student', 'teacher', 'admin', 'staff'])
-    .withMessage('Invalid role'),
-  check('campus')
-    .isMongoId()
-    .withMessage('Invalid campus ID')
-];
-
 const campusValidation = [
   check('name')
     .trim()
@@ -46,17 +41,314 @@ const campusValidation = [
   check('province')
     .trim()
     .notEmpty()
-    .withMessage('Province is required')
+    .withMessage('Province is required'),
+  check('timeZone')
+    .optional()
+    .trim()
+    .custom(timeZones.isValidTimeZone)
+    .withMessage('Time zone must be an IANA time zone such as Africa/Johannesburg')
 ];
 
 const passwordUpdateValidation = [
+  check('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  check('password')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+];
+
+const passwordResetRequestValidation = [
   check('email')
     .isEmail()
     .withMessage('Please provide a valid email')
-    .normalizeEmail(),
+    .normalizeEmail()
+];
+
+const passwordResetValidation = [
+  check('token')
+    .isHexadecimal()
+    .withMessage('Invalid reset token')
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  check('password')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+];
+
+const invitationAcceptValidation = [
+  check('token')
+    .isHexadecimal()
+    .withMessage('Invalid invitation token')
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token'),
+  check('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const verifyEmailValidation = [
+  check('token')
+    .isJWT()
+    .withMessage('Invalid verification token')
+];
+
+const unsubscribeValidation = [
+  check('token')
+    .isJWT()
+    .withMessage('Invalid unsubscribe token')
+];
+
+const resendVerificationValidation = [
+  check('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+const refreshTokenValidation = [
+  check('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const twoFactorCodeValidation = [
+  check('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits')
+];
+
+const twoFactorDisableValidation = [
   check('password')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation
+];
+
+const twoFactorLoginValidation = [
+  check('challengeToken')
+    .isJWT()
+    .withMessage('Invalid login challenge'),
+  check('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  check('recoveryCode')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code must not be empty'),
+  check()
+    .custom((value, { req }) => Boolean(req.body.code || req.body.recoveryCode))
+    .withMessage('Provide an authentication code or a recovery code')
+];
+
+const auditLogQueryValidation = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+  query('operation')
+    .optional()
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Invalid operation'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date')
+];
+
+const campusDashboardValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid campus ID'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date')
+];
+
+const campusMergeValidation = [
+  check('targetCampus')
+    .isMongoId()
+    .withMessage('Invalid target campus ID'),
+  check('mode')
+    .optional()
+    .isIn(['merge', 'retire'])
+    .withMessage('Mode must be merge or retire'),
+  check('preview')
+    .optional()
+    .isBoolean()
+    .withMessage('preview must be true or false')
+    .toBoolean(),
+  check('renameConflicts')
+    .optional()
+    .isBoolean()
+    .withMessage('renameConflicts must be true or false')
+    .toBoolean()
+];
+
+const CLOSURE_TYPES = ['closure', 'public_holiday', 'exam_period'];
+const DATE_KEY_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const MAX_CALENDAR_DAYS = 731;
+
+const closureValidation = [
+  check('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  check('type')
+    .isIn(CLOSURE_TYPES)
+    .withMessage('Invalid closure type'),
+  check('startDate')
+    .matches(DATE_KEY_PATTERN)
+    .withMessage('Start date must be a date (YYYY-MM-DD)'),
+  check('endDate')
+    .optional()
+    .matches(DATE_KEY_PATTERN)
+    .withMessage('End date must be a date (YYYY-MM-DD)'),
+  check('recurrence')
+    .optional()
+    .isIn(['none', 'yearly'])
+    .withMessage('Recurrence must be none or yearly'),
+  check('closed')
+    .optional()
+    .isBoolean()
+    .withMessage('closed must be true or false')
+    .toBoolean()
+];
+
+const closureUpdateValidation = [
+  check('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  check('type')
+    .optional()
+    .isIn(CLOSURE_TYPES)
+    .withMessage('Invalid closure type'),
+  check('startDate')
+    .optional()
+    .matches(DATE_KEY_PATTERN)
+    .withMessage('Start date must be a date (YYYY-MM-DD)'),
+  check('endDate')
+    .optional()
+    .matches(DATE_KEY_PATTERN)
+    .withMessage('End date must be a date (YYYY-MM-DD)'),
+  check('recurrence')
+    .optional()
+    .isIn(['none', 'yearly'])
+    .withMessage('Recurrence must be none or yearly'),
+  check('closed')
+    .optional()
+    .isBoolean()
+    .withMessage('closed must be true or false')
+    .toBoolean()
+];
+
+const closureQueryValidation = [
+  query('type')
+    .optional()
+    .isIn(CLOSURE_TYPES)
+    .withMessage('Invalid closure type'),
+  query('from')
+    .optional()
+    .matches(DATE_KEY_PATTERN)
+    .withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to')
+    .optional()
+    .matches(DATE_KEY_PATTERN)
+    .withMessage('to must be a date (YYYY-MM-DD)')
+    .custom((value, { req }) => {
+      const days = (Date.parse(value) - Date.parse(req.query.from)) / 86400000;
+      return days >= 0 && days < MAX_CALENDAR_DAYS;
+    })
+    .withMessage(`to must be on or after from and at most ${MAX_CALENDAR_DAYS} days later`)
+];
+
+const closureImportValidation = [
+  query('type')
+    .optional()
+    .isIn(CLOSURE_TYPES)
+    .withMessage('Invalid closure type')
+];
+
+const personalDataErasureValidation = [
+  check('confirmEmail')
+    .isEmail()
+    .withMessage('Confirm the erasure with the user\'s email address')
+];
+
+const apiKeyValidation = [
+  check('name')
+    .trim()
+    .notEmpty()
+    .withMessage('API key name is required'),
+  check('permissions')
+    .isArray({ min: 1 })
+    .withMessage('At least one permission is required'),
+  check('permissions.*')
+    .isString()
+    .withMessage('Permissions must be strings'),
+  check('campus')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid campus ID'),
+  check('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid expiry date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry date must be in the future')
+];
+
+const apiKeyUpdateValidation = [
+  param('id').isMongoId(),
+  check('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('API key name must not be empty'),
+  check('permissions')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one permission is required'),
+  check('permissions.*')
+    .isString()
+    .withMessage('Permissions must be strings'),
+  check('campus')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid campus ID'),
+  check('expiresAt')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Invalid expiry date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry date must be in the future')
+];
+
+const impersonationValidation = [
+  check('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason for impersonating the user is required')
 ];
 
 const loginValidation = [
@@ -69,27 +361,103 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
-// User routes
+// Make the current request available to model hooks (audit log)
+router.use(requestContext.middleware);
+
+// Public routes
 router.post('/users/login', loginValidation, userController.login);
+router.post('/users/login/two-factor', twoFactorLoginValidation, userController.loginTwoFactor);
+router.post('/users/token/refresh', refreshTokenValidation, sessionController.refreshToken);
+router.post('/users/password/forgot', passwordResetRequestValidation, userController.requestPasswordReset);
+router.post('/users/password/reset', passwordResetValidation, userController.resetPassword);
+router.post('/users/invitations/accept', invitationAcceptValidation, invitationController.acceptInvitation);
+router.post('/users/verify-email', verifyEmailValidation, userController.verifyEmail);
+router.post('/users/verify-email/resend', resendVerificationValidation, userController.resendVerificationEmail);
+router.post('/users/notification-preferences/unsubscribe', unsubscribeValidation, notificationPreferenceController.unsubscribe);
+router.post('/users', allowBootstrap, authorize('users:create'), userValidation, userController.createUser);
+
+// Every route below requires a valid access token (or an API key). Only the
+// route groups are covered, so unknown paths still reach the 404 handler.
+const PROTECTED_PATHS = ['/users', '/campuses', '/audit-logs', '/api-keys', '/courses', '/maintenance', '/boardrooms', '/buildings', '/rooms'];
+router.use(PROTECTED_PATHS, authenticate);
+
+// Account and credential routes are for people signed in as themselves,
+// not API keys or administrators impersonating someone
+router.use(['/users/logout', '/users/sessions', '/users/two-factor', '/users/password', '/users/notification-preferences', '/api-keys'], rejectApiKey, rejectImpersonation);
+
+// Session routes
+router.post('/users/logout', sessionController.logout);
+router.get('/users/sessions', sessionController.getSessions);
+router.delete('/users/sessions', sessionController.revokeAllSessions);
+router.delete('/users/sessions/:sessionId', param('sessionId').isMongoId(), sessionController.revokeSession);
+
+// Two-factor enrolment (reachable before enrolment is complete)
+router.post('/users/two-factor/setup', twoFactorController.setupTwoFactor);
+router.post('/users/two-factor/confirm', twoFactorCodeValidation, twoFactorController.confirmTwoFactor);
+
+// Roles that require two-factor must enrol before using any route below
+router.use(PROTECTED_PATHS, requireTwoFactorSetup);
+
+router.post('/users/two-factor/recovery-codes', twoFactorCodeValidation, twoFactorController.regenerateRecoveryCodes);
+router.post('/users/two-factor/disable', twoFactorDisableValidation, twoFactorController.disableTwoFactor);
+
+// User routes
 router.put('/users/password', passwordUpdateValidation, userController.updatePassword);
-router.post('/users', userValidation, userController.createUser);
-router.get('/users', userController.getUsers);
-router.get('/users/search', userController.searchUsers);
-router.get('/users/:id', userController.getUserById);
-router.put('/users/:id', userValidation, userController.updateUser);
-router.delete('/users/:id', userController.deleteUser);
-router.put('/users/:id/toggle-status', userController.toggleUserStatus);
-router.get('/users/campus/:campusId', userController.getUsersByCampus);
+router.get('/users/notification-preferences', notificationPreferenceController.getPreferences);
+router.put('/users/notification-preferences', notificationPreferenceController.updatePreferences);
+router.post('/users/invitations', authorize('users:invite'), userInvitationValidation, invitationController.createInvitation);
+router.get('/users/invitations', authorize('users:invite'), invitationController.getInvitations);
+router.post('/users/invitations/:id/resend', authorize('users:invite'), invitationController.resendInvitation);
+router.delete('/users/invitations/:id', authorize('users:invite'), invitationController.revokeInvitation);
+router.post('/users/impersonation/end', authorize('users:end-impersonation'), impersonationController.endImpersonation);
+router.post('/users/import', authorize('users:import'), express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), userImportController.importUsers);
+router.get('/users', authorize('users:read'), userController.getUsers);
+router.get('/users/search', authorize('users:read'), userController.searchUsers);
+router.get('/users/trash', authorize('users:restore'), userController.getDeletedUsers);
+router.get('/users/:id', authorize('users:read', { allowSelf: true }), userController.getUserById);
+router.put('/users/:id', authorize('users:update'), userValidation, userController.updateUser);
+router.delete('/users/:id', authorize('users:delete'), userController.deleteUser);
+router.put('/users/:id/toggle-status', authorize('users:toggle-status'), userController.toggleUserStatus);
+router.put('/users/:id/unlock', authorize('users:unlock'), userController.unlockUser);
+router.put('/users/:id/restore', authorize('users:restore'), userController.restoreUser);
+router.get('/users/:id/personal-data', authorize('users:export-personal-data', { allowSelf: true }), personalDataController.exportPersonalData);
+router.delete('/users/:id/personal-data', authorize('users:erase-personal-data'), personalDataErasureValidation, personalDataController.erasePersonalData);
+router.post('/users/:id/impersonate', rejectApiKey, authorize('users:impersonate'), impersonationValidation, impersonationController.startImpersonation);
+router.put('/users/:id/two-factor/reset', authorize('users:reset-two-factor'), twoFactorController.resetTwoFactor);
+router.get('/users/campus/:campusId', authorize('users:read'), userController.getUsersByCampus);
 
 // Campus routes
-router.post('/campuses', campusValidation, campusController.createCampus);
-router.get('/campuses', campusController.getCampuses);
-router.get('/campuses/search', campusController.searchCampuses);
-router.get('/campuses/:id', campusController.getCampusById);
-router.get('/campuses/:id/stats', campusController.getCampusStats);
-router.put('/campuses/:id', campusValidation, campusController.updateCampus);
-router.delete('/campuses/:id', campusController.deleteCampus);
-router.put('/campuses/:id/toggle-status', campusController.toggleCampusStatus);
+router.post('/campuses', authorize('campuses:create'), campusValidation, campusController.createCampus);
+router.get('/campuses', authorize('campuses:read'), campusController.getCampuses);
+router.get('/campuses/search', authorize('campuses:read'), campusController.searchCampuses);
+router.get('/campuses/trash', authorize('campuses:restore'), campusController.getDeletedCampuses);
+router.get('/campuses/:id', authorize('campuses:read'), campusController.getCampusById);
+router.get('/campuses/:id/stats', authorize('campuses:stats'), campusController.getCampusStats);
+router.get('/campuses/:id/dashboard', authorize('campuses:stats'), campusDashboardValidation, campusController.getCampusDashboard);
+router.get('/campuses/:id/tree', authorize('campuses:read'), buildingController.getCampusTree);
+router.put('/campuses/:id', authorize('campuses:update'), campusValidation, campusController.updateCampus);
+router.delete('/campuses/:id', authorize('campuses:delete'), campusController.deleteCampus);
+router.put('/campuses/:id/toggle-status', authorize('campuses:toggle-status'), campusController.toggleCampusStatus);
+router.put('/campuses/:id/restore', authorize('campuses:restore'), campusController.restoreCampus);
+router.post('/campuses/:id/merge', authorize('campuses:merge'), campusMergeValidation, campusController.mergeCampus);
+
+// Campus calendar (closures, public holidays and exam periods)
+router.get('/campuses/:id/closures', authorize('closures:read'), closureQueryValidation, closureController.getClosures);
+router.post('/campuses/:id/closures', authorize('closures:manage'), closureValidation, closureController.createClosure);
+router.post('/campuses/:id/closures/import', authorize('closures:manage'), closureImportValidation, express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), closureController.importClosures);
+router.put('/campuses/:id/closures/:closureId', authorize('closures:manage'), closureUpdateValidation, closureController.updateClosure);
+router.delete('/campuses/:id/closures/:closureId', authorize('closures:manage'), closureController.deleteClosure);
+
+// Audit log routes
+router.get('/audit-logs', authorize('audit-logs:read'), auditLogQueryValidation, auditLogController.getAuditLogs);
+
+// API key routes
+router.post('/api-keys', authorize('api-keys:manage'), apiKeyValidation, apiKeyController.createApiKey);
+router.get('/api-keys', authorize('api-keys:manage'), apiKeyController.getApiKeys);
+router.get('/api-keys/:id', authorize('api-keys:manage'), apiKeyController.getApiKeyById);
+router.put('/api-keys/:id', authorize('api-keys:manage'), apiKeyUpdateValidation, apiKeyController.updateApiKey);
+router.delete('/api-keys/:id', authorize('api-keys:manage'), apiKeyController.revokeApiKey);
+router.post('/api-keys/:id/rotate', authorize('api-keys:manage'), apiKeyController.rotateApiKey);
 
 // Course routes
 router.use('/courses', courseRoutes);
@@ -97,6 +465,13 @@ router.use('/courses', courseRoutes);
 // Maintenance routes
 router.use('/maintenance', maintenanceRoutes);
 
+// Boardroom routes
+router.use('/boardrooms', boardroomRoutes);
+
+// Building, floor and room routes
+router.use('/buildings', buildingRoutes);
+router.use('/rooms', roomRoutes);
+
 // Error handling middleware
 router.use((err, req, res, next) => {
   console.error(err.stack);
@@ -0,0 +1,45 @@
+// Store a time zone on campuses created before campuses had one. Until then
+// they are read in DEFAULT_TIME_ZONE, so the stored zone no longer changes
+// if that setting does.
+//
+// Usage: node scripts/migrateCampusTimeZones.js [--zone=<IANA zone>] [--apply]
+// The zone defaults to DEFAULT_TIME_ZONE. Without --apply nothing is written.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Campus = require('../model/Campus');
+const timeZones = require('../services/timeZones');
+
+const apply = process.argv.includes('--apply');
+const zoneArgument = process.argv.find(argument => argument.startsWith('--zone='));
+const timeZone = zoneArgument ? zoneArgument.slice('--zone='.length) : timeZones.DEFAULT_TIME_ZONE;
+
+const migrate = async () => {
+  // Deleted campuses are included; their records are still read
+  const filter = { timeZone: { $in: [null, ''] } };
+
+  if (apply) {
+    const result = await Campus.collection.updateMany(filter, { $set: { timeZone } });
+    console.log(`Set the time zone of ${result.modifiedCount} campus(es) to ${timeZone}`);
+  } else {
+    const count = await Campus.collection.countDocuments(filter);
+    console.log(`Would set the time zone of ${count} campus(es) to ${timeZone}`);
+  }
+};
+
+if (!timeZones.isValidTimeZone(timeZone)) {
+  console.error(`${timeZone} is not a valid IANA time zone`);
+  process.exit(1);
+}
+
+if (!process.env.MONGODB_URI) {
+  console.error('MONGODB_URI is not configured');
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .catch(error => {
+    console.error('Error migrating campus time zones:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
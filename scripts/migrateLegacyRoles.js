@@ -0,0 +1,43 @@
+// Move users still stored with a role that no longer exists to its
+// replacement. Such users fail validation on every save (logins, password
+// changes, deletion) until they are migrated.
+//
+// Usage: node scripts/migrateLegacyRoles.js [--apply]
+// Without --apply nothing is written.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../model/User');
+
+const apply = process.argv.includes('--apply');
+
+// Legacy role -> current role
+const ROLE_MAP = {
+  'admin staff': 'staff'
+};
+
+const migrate = async () => {
+  for (const [legacyRole, role] of Object.entries(ROLE_MAP)) {
+    // The collection is used directly so validation and the soft-delete
+    // filter do not get in the way; deleted users are migrated too
+    if (apply) {
+      const result = await User.collection.updateMany({ role: legacyRole }, { $set: { role } });
+      console.log(`Moved ${result.modifiedCount} user(s) from "${legacyRole}" to "${role}"`);
+    } else {
+      const count = await User.collection.countDocuments({ role: legacyRole });
+      console.log(`Would move ${count} user(s) from "${legacyRole}" to "${role}"`);
+    }
+  }
+};
+
+if (!process.env.MONGODB_URI) {
+  console.error('MONGODB_URI is not configured');
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .catch(error => {
+    console.error('Error migrating legacy roles:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
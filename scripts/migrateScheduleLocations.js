@@ -0,0 +1,96 @@
+// Link course schedule entries that only have a free-text `location` to the
+// matching Room on the offering's campus. A location matches a room when,
+// ignoring case, spaces and punctuation, it equals the room's code, the
+// room's name, or the building code followed by the room code ("SCI-101"
+// for room 101 in building SCI). Entries that match no room, or more than
+// one, are left alone and listed so the rooms can be created or the
+// schedule fixed by hand; the script can then be run again.
+//
+// Usage: node scripts/migrateScheduleLocations.js [--apply]
+// Without --apply nothing is written.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Course = require('../model/Course');
+const Room = require('../model/Room');
+require('../model/Building');
+
+const apply = process.argv.includes('--apply');
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Map of normalized name -> room ids for each campus
+const buildRoomIndex = async () => {
+  const rooms = await Room.find().populate('building', 'code');
+  const index = {};
+
+  for (const room of rooms) {
+    const campusIndex = index[room.campus] = index[room.campus] || {};
+    const keys = new Set([
+      normalize(room.code),
+      normalize(room.name),
+      room.building ? normalize(room.building.code + room.code) : ''
+    ]);
+    for (const key of keys) {
+      if (!key) continue;
+      (campusIndex[key] = campusIndex[key] || []).push(room._id);
+    }
+  }
+
+  return index;
+};
+
+const migrate = async () => {
+  const index = await buildRoomIndex();
+  const courses = await Course.find({ 'campuses.schedule.location': { $nin: [null, ''] } }).withDeleted();
+
+  let linked = 0;
+  const unmatched = {};
+
+  for (const course of courses) {
+    let changed = false;
+
+    for (const offering of course.campuses) {
+      for (const session of offering.schedule) {
+        if (session.room || !session.location) continue;
+
+        const matches = (index[offering.campus] || {})[normalize(session.location)] || [];
+        if (matches.length === 1) {
+          session.room = matches[0];
+          session.location = undefined;
+          changed = true;
+          linked++;
+        } else {
+          const key = `${offering.campus}\t${session.location}\t${matches.length > 1 ? 'ambiguous' : 'no match'}`;
+          unmatched[key] = (unmatched[key] || 0) + 1;
+        }
+      }
+    }
+
+    if (changed && apply) {
+      await course.save();
+    }
+  }
+
+  console.log(`${apply ? 'Linked' : 'Would link'} ${linked} schedule entr${linked === 1 ? 'y' : 'ies'} to rooms`);
+
+  const remaining = Object.entries(unmatched);
+  if (remaining.length > 0) {
+    console.log('\nUnmatched locations (campus, location, reason, entries):');
+    for (const [key, count] of remaining) {
+      console.log(`${key}\t${count}`);
+    }
+  }
+};
+
+if (!process.env.MONGODB_URI) {
+  console.error('MONGODB_URI is not configured');
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .catch(error => {
+    console.error('Error migrating schedule locations:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
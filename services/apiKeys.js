@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../model/ApiKey');
+const tokens = require('./tokens');
+const campusScope = require('./campusScope');
+const { POLICY, can } = require('../config/permissions');
+
+// Resources that can never be granted to a key
+const RESTRICTED_RESOURCES = ['api-keys'];
+
+// API keys are "<key id>.<secret>" so the key can be found by id
+const parseKey = (rawKey) => {
+  const [keyId, secret] = String(rawKey || '').split('.');
+  if (!mongoose.isValidObjectId(keyId) || !secret) {
+    return null;
+  }
+  return { keyId, secret };
+};
+
+// Expand "<resource>:*" into the matching permission names
+const expand = (permission) => {
+  if (!permission.endsWith(':*')) {
+    return POLICY[permission] ? [permission] : [];
+  }
+  const prefix = permission.slice(0, -1);
+  return Object.keys(POLICY).filter(name => name.startsWith(prefix));
+};
+
+// Check requested key permissions against the policy and the owner's role;
+// returns a list of problems (empty when valid)
+exports.validatePermissions = (permissions, owner, campus) => {
+  const problems = [];
+
+  for (const permission of permissions) {
+    const [resource] = permission.split(':');
+    const granted = expand(permission);
+
+    if (granted.length === 0) {
+      problems.push(`Unknown permission: ${permission}`);
+    } else if (RESTRICTED_RESOURCES.includes(resource)) {
+      problems.push(`Permission cannot be granted to an API key: ${permission}`);
+    } else if (!granted.every(name => can(owner.role, name))) {
+      problems.push(`Owner's role does not allow: ${permission}`);
+    } else if (campus && !granted.every(name => campusScope.supportsPermission(name))) {
+      problems.push(`Permission cannot be limited to a campus: ${permission}`);
+    }
+  }
+
+  return problems;
+};
+
+// Create a key and return it with the secret, which is only shown once
+exports.createApiKey = async (fields) => {
+  const { token: secret, hash } = tokens.generateOpaqueToken();
+
+  const apiKey = await ApiKey.create({
+    ...fields,
+    keyHash: hash
+  });
+
+  return { apiKey, key: `${apiKey._id}.${secret}` };
+};
+
+// Replace the secret of an existing key; the old secret stops working at once
+exports.rotateApiKey = async (apiKey) => {
+  const { token: secret, hash } = tokens.generateOpaqueToken();
+
+  apiKey.keyHash = hash;
+  apiKey.rotatedAt = new Date();
+  await apiKey.save();
+
+  return `${apiKey._id}.${secret}`;
+};
+
+// Find the active key matching a presented key, or null
+exports.findByKey = async (rawKey) => {
+  const parsed = parseKey(rawKey);
+  if (!parsed) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({
+    _id: parsed.keyId,
+    keyHash: tokens.hashToken(parsed.secret)
+  });
+
+  if (!apiKey || !apiKey.isActive()) {
+    return null;
+  }
+  return apiKey;
+};
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const User = require('../model/User');
+const Course = require('../model/Course');
+const Boardroom = require('../model/Boardroom');
+const Booking = require('../model/Booking');
+const Maintenance = require('../model/Maintenance');
+const timeZones = require('./timeZones');
+
+const OPEN_MAINTENANCE_STATUSES = ['pending', 'assigned', 'in_progress'];
+
+// Turn [{ _id, count }] aggregation output into { <_id>: count }
+const countsById = (rows) => {
+  return rows.reduce((acc, row) => {
+    acc[row._id] = row.count;
+    return acc;
+  }, {});
+};
+
+// Fill rate as a percentage with one decimal, or null without capacity
+const fillRate = (enrolled, capacity) => {
+  return capacity > 0 ? Math.round((enrolled / capacity) * 1000) / 10 : null;
+};
+
+const getUserStats = async (campusId) => {
+  const [byRole, active] = await Promise.all([
+    User.aggregate([
+      { $match: { campus: campusId } },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]),
+    User.aggregate([
+      { $match: { campus: campusId } },
+      { $group: { _id: '$isActive', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const activeCounts = countsById(active);
+  const activeUsers = activeCounts.true || 0;
+  const inactiveUsers = activeCounts.false || 0;
+
+  return {
+    total: activeUsers + inactiveUsers,
+    active: activeUsers,
+    inactive: inactiveUsers,
+    byRole: countsById(byRole)
+  };
+};
+
+// Offerings on the campus that are active and run during the range
+const getCourseStats = async (campusId, start, end) => {
+  const offerings = await Course.aggregate([
+    { $match: { isActive: true, 'campuses.campus': campusId } },
+    { $unwind: '$campuses' },
+    {
+      $match: {
+        'campuses.campus': campusId,
+        'campuses.isActive': true,
+        'campuses.startDate': { $lte: end },
+        'campuses.endDate': { $gte: start }
+      }
+    },
+    {
+      $project: {
+        _id: '$campuses._id',
+        course: '$_id',
+        code: 1,
+        name: 1,
+        semester: '$campuses.semester',
+        year: '$campuses.year',
+        capacity: '$campuses.capacity',
+        enrolled: '$campuses.enrolled'
+      }
+    },
+    { $sort: { code: 1 } }
+  ]);
+
+  const capacity = offerings.reduce((sum, offering) => sum + offering.capacity, 0);
+  const enrolled = offerings.reduce((sum, offering) => sum + offering.enrolled, 0);
+
+  return {
+    activeOfferings: offerings.length,
+    capacity,
+    enrolled,
+    fillRate: fillRate(enrolled, capacity),
+    fullOfferings: offerings.filter(offering => offering.enrolled >= offering.capacity).length,
+    offerings: offerings.map(offering => ({
+      ...offering,
+      fillRate: fillRate(offering.enrolled, offering.capacity)
+    }))
+  };
+};
+
+const getBoardroomStats = async (campusId, boardroomIds, now) => {
+  const [byStatus, inUse] = await Promise.all([
+    Boardroom.aggregate([
+      { $match: { campus: campusId, isActive: true } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Booking.distinct('boardroom', {
+      boardroom: { $in: boardroomIds },
+      status: 'confirmed',
+      startTime: { $lte: now },
+      endTime: { $gt: now }
+    })
+  ]);
+
+  const statusCounts = countsById(byStatus);
+
+  return {
+    total: Object.values(statusCounts).reduce((sum, count) => sum + count, 0),
+    byStatus: statusCounts,
+    inUseNow: inUse.length
+  };
+};
+
+// Bookings starting within the range
+const getBookingStats = async (boardroomIds, start, end) => {
+  const byStatus = await Booking.aggregate([
+    {
+      $match: {
+        boardroom: { $in: boardroomIds },
+        startTime: { $gte: start, $lte: end }
+      }
+    },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        attendees: { $sum: '$attendees' }
+      }
+    }
+  ]);
+
+  return {
+    total: byStatus.reduce((sum, row) => sum + row.count, 0),
+    attendees: byStatus
+      .filter(row => row._id !== 'cancelled')
+      .reduce((sum, row) => sum + row.attendees, 0),
+    byStatus: countsById(byStatus)
+  };
+};
+
+// Open and overdue requests are as of now; completed requests and their
+// costs are those completed within the range. Costs are totalled per currency.
+const getMaintenanceStats = async (boardroomIds, start, end, now) => {
+  const base = { boardroom: { $in: boardroomIds }, isActive: true };
+
+  const [open, overdue, reported, completed] = await Promise.all([
+    Maintenance.aggregate([
+      { $match: { ...base, status: { $in: OPEN_MAINTENANCE_STATUSES } } },
+      { $group: { _id: '$priority', count: { $sum: 1 } } }
+    ]),
+    Maintenance.countDocuments({
+      ...base,
+      status: { $in: OPEN_MAINTENANCE_STATUSES },
+      estimatedCompletion: { $lt: now }
+    }),
+    Maintenance.countDocuments({
+      ...base,
+      reportedAt: { $gte: start, $lte: end }
+    }),
+    Maintenance.aggregate([
+      {
+        $match: {
+          ...base,
+          status: 'completed',
+          completedAt: { $gte: start, $lte: end }
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$cost.currency', 'USD'] },
+          count: { $sum: 1 },
+          cost: { $sum: { $ifNull: ['$cost.amount', 0] } },
+          approvedCost: {
+            $sum: { $cond: [{ $ifNull: ['$cost.approvedAt', false] }, { $ifNull: ['$cost.amount', 0] }, 0] }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const openByPriority = countsById(open);
+
+  return {
+    open: Object.values(openByPriority).reduce((sum, count) => sum + count, 0),
+    openByPriority,
+    overdue,
+    reported,
+    completed: completed.reduce((sum, row) => sum + row.count, 0),
+    costs: completed.reduce((acc, row) => {
+      acc[row._id] = { total: row.cost, approved: row.approvedCost };
+      return acc;
+    }, {})
+  };
+};
+
+// Operations overview of a campus for the range [start, end]. "Today" is
+// the current day in the campus's time zone.
+exports.buildDashboard = async (campus, { start, end }) => {
+  const campusId = new mongoose.Types.ObjectId(campus._id);
+  const timeZone = campus.timeZone || timeZones.DEFAULT_TIME_ZONE;
+  const now = new Date();
+  const today = timeZones.getDayBounds(timeZones.toDateKey(now, timeZone), timeZone);
+
+  const boardroomIds = await Boardroom.find({ campus: campusId }).distinct('_id');
+
+  const [users, courses, boardrooms, bookings, bookingsToday, maintenance] = await Promise.all([
+    getUserStats(campusId),
+    getCourseStats(campusId, start, end),
+    getBoardroomStats(campusId, boardroomIds, now),
+    getBookingStats(boardroomIds, start, end),
+    getBookingStats(boardroomIds, today.start, today.end),
+    getMaintenanceStats(boardroomIds, start, end, now)
+  ]);
+
+  return {
+    campus: {
+      _id: campus._id,
+      name: campus.name,
+      code: campus.code
+    },
+    timeZone,
+    range: {
+      start: timeZones.describe(start, timeZone),
+      end: timeZones.describe(end, timeZone)
+    },
+    generatedAt: timeZones.describe(now, timeZone),
+    users,
+    courses,
+    boardrooms,
+    bookings: {
+      ...bookings,
+      today: bookingsToday
+    },
+    maintenance
+  };
+};
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const User = require('../model/User');
+const Course = require('../model/Course');
+const Boardroom = require('../model/Boardroom');
+const Booking = require('../model/Booking');
+const Maintenance = require('../model/Maintenance');
+const Building = require('../model/Building');
+const Floor = require('../model/Floor');
+const Room = require('../model/Room');
+const ApiKey = require('../model/ApiKey');
+const CampusClosure = require('../model/CampusClosure');
+const { recordBulkChange } = require('../model/plugins/audit');
+
+// Models whose codes are unique within a campus
+const CODED_MODELS = [
+  { model: Boardroom, type: 'boardroom_code' },
+  { model: Building, type: 'building_code' },
+  { model: Room, type: 'room_code' }
+];
+
+const summary = (campus) => ({
+  _id: campus._id,
+  name: campus.name,
+  code: campus.code,
+  timeZone: campus.timeZone
+});
+
+// Code conflicts between the two campuses for one model. With `rename`,
+// source codes are given the source campus code as a suffix when that
+// suffixed code is free.
+const findCodeConflicts = async ({ model, type }, source, target, rename) => {
+  const [sourceDocs, targetDocs] = await Promise.all([
+    model.find({ campus: source._id }).select('code'),
+    model.find({ campus: target._id }).select('code')
+  ]);
+
+  const taken = new Set([...sourceDocs, ...targetDocs].map(doc => doc.code));
+  const conflicts = [];
+
+  for (const doc of sourceDocs) {
+    const existing = targetDocs.find(candidate => candidate.code === doc.code);
+    if (!existing) continue;
+
+    const renamed = `${doc.code}-${source.code || 'MERGED'}`;
+    const canRename = rename && !taken.has(renamed);
+    if (canRename) taken.add(renamed);
+
+    conflicts.push({
+      type,
+      code: doc.code,
+      sourceId: doc._id,
+      targetId: existing._id,
+      renameTo: canRename ? renamed : undefined,
+      blocking: !canRename
+    });
+  }
+  return conflicts;
+};
+
+// Courses offered on both campuses in the same semester and year; such
+// offerings cannot be combined automatically
+const findOfferingConflicts = async (source, target) => {
+  const courses = await Course.find({
+    'campuses.campus': { $all: [source._id, target._id] }
+  }).withDeleted().select('code campuses.campus campuses.semester campuses.year campuses._id');
+
+  const conflicts = [];
+  for (const course of courses) {
+    const targetOfferings = course.campuses.filter(offering => offering.campus.equals(target._id));
+    for (const offering of course.campuses.filter(candidate => candidate.campus.equals(source._id))) {
+      const existing = targetOfferings.find(candidate =>
+        candidate.semester === offering.semester && candidate.year === offering.year
+      );
+      if (existing) {
+        conflicts.push({
+          type: 'course_offering',
+          course: course._id,
+          code: course.code,
+          semester: offering.semester,
+          year: offering.year,
+          sourceId: offering._id,
+          targetId: existing._id,
+          blocking: true
+        });
+      }
+    }
+  }
+  return conflicts;
+};
+
+// Report what moving everything from `source` to `target` would do: counts,
+// conflicts (blocking ones stop the merge) and warnings
+exports.planMerge = async (source, target, { rename = false } = {}) => {
+  const boardroomIds = await Boardroom.find({ campus: source._id }).distinct('_id');
+
+  const [
+    users,
+    campusAdmins,
+    courses,
+    bookings,
+    maintenance,
+    buildings,
+    floors,
+    rooms,
+    apiKeys,
+    closures
+  ] = await Promise.all([
+    User.countDocuments({ campus: source._id }).withDeleted(),
+    User.countDocuments({ campus: source._id, role: 'campus_admin' }),
+    Course.find({ 'campuses.campus': source._id }).withDeleted().select('campuses.campus'),
+    Booking.countDocuments({ boardroom: { $in: boardroomIds } }),
+    Maintenance.countDocuments({ boardroom: { $in: boardroomIds } }),
+    Building.countDocuments({ campus: source._id }),
+    Floor.countDocuments({ campus: source._id }),
+    Room.countDocuments({ campus: source._id }),
+    ApiKey.countDocuments({ campus: source._id, revokedAt: null }),
+    CampusClosure.countDocuments({ campus: source._id })
+  ]);
+
+  const codeConflicts = await Promise.all(
+    CODED_MODELS.map(coded => findCodeConflicts(coded, source, target, rename))
+  );
+  const conflicts = [...codeConflicts.flat(), ...(await findOfferingConflicts(source, target))];
+
+  const warnings = [];
+  if (!target.isActive) {
+    warnings.push('The target campus is inactive');
+  }
+  if (source.timeZone !== target.timeZone) {
+    warnings.push(`Schedules and operating hours will be read in ${target.timeZone} instead of ${source.timeZone}`);
+  }
+  if (campusAdmins > 0) {
+    warnings.push(`${campusAdmins} campus administrator(s) will gain access to the target campus`);
+  }
+  if (apiKeys > 0) {
+    warnings.push(`${apiKeys} API key(s) limited to the source campus will be revoked rather than given access to the target campus`);
+  }
+  if (closures > 0) {
+    warnings.push(`${closures} closure(s) stay with the source campus; the target campus calendar applies after the merge`);
+  }
+
+  return {
+    source: summary(source),
+    target: summary(target),
+    counts: {
+      users,
+      courseOfferings: courses.reduce((sum, course) =>
+        sum + course.campuses.filter(offering => offering.campus.equals(source._id)).length, 0),
+      boardrooms: boardroomIds.length,
+      bookings,
+      maintenance,
+      buildings,
+      floors,
+      rooms,
+      revokedApiKeys: apiKeys
+    },
+    conflicts,
+    warnings,
+    canProceed: !conflicts.some(conflict => conflict.blocking)
+  };
+};
+
+// Move everything from `source` to `target` in one transaction, following a
+// plan without blocking conflicts. `retire` keeps the source campus as an
+// inactive record; otherwise it is moved to the trash.
+exports.executeMerge = async (source, target, plan, { retire = false, userId } = {}) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const from = { campus: source._id };
+      const to = { $set: { campus: target._id } };
+
+      // Renames first so moved codes never collide on the unique indexes
+      for (const conflict of plan.conflicts.filter(candidate => candidate.renameTo)) {
+        const { model } = CODED_MODELS.find(coded => coded.type === conflict.type);
+        await model.updateOne({ _id: conflict.sourceId }, { $set: { code: conflict.renameTo } }, { session });
+      }
+
+      await User.updateMany(from, to, { session }).withDeleted();
+      await Course.updateMany(
+        { 'campuses.campus': source._id },
+        { $set: { 'campuses.$[offering].campus': target._id } },
+        { session, arrayFilters: [{ 'offering.campus': source._id }] }
+      ).withDeleted();
+      // Bookings and maintenance follow their boardrooms
+      await Boardroom.updateMany(from, to, { session });
+      await Building.updateMany(from, to, { session });
+      await Floor.updateMany(from, to, { session });
+      await Room.updateMany(from, to, { session });
+      // Keys limited to the source campus are revoked: moving them would
+      // silently widen their access to the target campus's data
+      await ApiKey.updateMany(
+        { campus: source._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: userId } },
+        { session }
+      );
+
+      // The moves above bypass the audit hooks, so the merge is recorded as one entry
+      await recordBulkChange({
+        action: 'campuses:merge',
+        targetModel: 'Campus',
+        targetId: source._id,
+        changes: [{ field: 'replacedBy', from: source.replacedBy, to: target._id }],
+        details: {
+          mode: retire ? 'retire' : 'merge',
+          source: summary(source),
+          target: summary(target),
+          counts: plan.counts,
+          renamed: plan.conflicts
+            .filter(conflict => conflict.renameTo)
+            .map(({ type, sourceId, code, renameTo }) => ({ type, sourceId, from: code, to: renameTo })),
+          warnings: plan.warnings
+        },
+        actor: userId
+      }, { session });
+
+      source.$session(session);
+      source.replacedBy = target._id;
+      source.replacedAt = new Date();
+      source.isActive = false;
+      if (retire) {
+        await source.save();
+      } else {
+        await source.softDelete(userId);
+      }
+    });
+  } finally {
+    source.$session(null);
+    await session.endSession();
+  }
+};
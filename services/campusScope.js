@@ -0,0 +1,84 @@
+const Boardroom = require('../model/Boardroom');
+const { CAMPUS_SCOPED_ROLES } = require('../config/permissions');
+
+// Permissions whose handlers honour req.campusScope ("<resource>:*" covers a
+// whole resource). A request limited to one campus may only use these.
+exports.SCOPED_PERMISSIONS = [
+  'users:create',
+  'users:invite',
+  'users:read',
+  'users:update',
+  'users:delete',
+  'users:toggle-status',
+  'users:unlock',
+  'campuses:read',
+  'campuses:stats',
+  'boardrooms:*',
+  'closures:*',
+  'buildings:*',
+  'rooms:*',
+  'courses:read',
+  'courses:stats',
+  'courses:manage-offerings',
+  'maintenance:*'
+];
+
+// Roles that only requests with global access may assign or manage
+exports.GLOBAL_ROLES = ['admin', ...CAMPUS_SCOPED_ROLES];
+
+exports.OUT_OF_SCOPE_ERROR = 'Your access is limited to your own campus; this resource belongs to another campus';
+exports.ROLE_OUT_OF_SCOPE_ERROR = 'Only administrators with access to all campuses can manage administrator accounts';
+
+// Campus a user's role limits them to, or null for global access
+exports.forUser = (user) => {
+  return CAMPUS_SCOPED_ROLES.includes(user.role) ? user.campus : null;
+};
+
+// Campus the request is limited to, or null for global access
+exports.getCampus = (req) => {
+  return req.campusScope || null;
+};
+
+// Whether a campus id is reachable by the request
+exports.includes = (req, campusId) => {
+  const scope = exports.getCampus(req);
+  if (!scope) return true;
+  return Boolean(campusId) && campusId.toString() === scope.toString();
+};
+
+// Whether the request may assign a role, or manage a user holding it
+exports.allowsRole = (req, role) => {
+  return !exports.getCampus(req) || !exports.GLOBAL_ROLES.includes(role);
+};
+
+// Error message if the request may not manage this user (another campus,
+// or an administrator account), otherwise null
+exports.getUserError = (req, user) => {
+  if (!exports.includes(req, user.campus && (user.campus._id || user.campus))) {
+    return exports.OUT_OF_SCOPE_ERROR;
+  }
+  if (!exports.allowsRole(req, user.role)) {
+    return exports.ROLE_OUT_OF_SCOPE_ERROR;
+  }
+  return null;
+};
+
+// Whether a permission can be used by a campus-limited request
+exports.supportsPermission = (permission) => {
+  const [resource] = permission.split(':');
+  return exports.SCOPED_PERMISSIONS.includes(permission) || exports.SCOPED_PERMISSIONS.includes(`${resource}:*`);
+};
+
+// Ids of the boardrooms on the request's campus, for models that only
+// reference a campus through their boardroom
+exports.getBoardroomIds = (req) => {
+  return Boardroom.find({ campus: exports.getCampus(req) }).distinct('_id');
+};
+
+// Whether a boardroom (id or populated document) belongs to the request's campus
+exports.includesBoardroom = async (req, boardroomRef) => {
+  if (!exports.getCampus(req)) return true;
+  if (!boardroomRef) return false;
+  const boardroom = await Boardroom.findById(boardroomRef._id || boardroomRef).select('campus');
+  return Boolean(boardroom) && exports.includes(req, boardroom.campus);
+};
@@ -0,0 +1,180 @@
+const CampusClosure = require('../model/CampusClosure');
+const Campus = require('../model/Campus');
+const timeZones = require('./timeZones');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 86400000;
+
+// Date keys are stepped in UTC so daylight saving changes cannot skip a day
+const keyToUtc = (key) => Date.UTC(parseInt(key.slice(0, 4)), parseInt(key.slice(5, 7)) - 1, parseInt(key.slice(8, 10)));
+const utcToKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+exports.addDays = (key, days) => utcToKey(keyToUtc(key) + days * DAY_MS);
+
+// Lowercase weekday name of a date key
+exports.getDayName = (key) => DAY_NAMES[new Date(keyToUtc(key)).getUTCDay()];
+
+// Every date key from start to end, inclusive
+exports.eachDateKey = (startKey, endKey) => {
+  const keys = [];
+  for (let key = startKey; key <= endKey; key = exports.addDays(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+};
+
+// Closures of a campus that may fall between two date keys (yearly entries
+// are always included and filtered by date afterwards)
+exports.getClosures = (campusId, startKey, endKey) => {
+  return CampusClosure.find({
+    campus: campusId,
+    startDate: { $lte: endKey },
+    $or: [
+      { endDate: { $gte: startKey } },
+      { recurrence: 'yearly' }
+    ]
+  }).sort({ startDate: 1 });
+};
+
+// Closures falling on each date of a range, as { <date key>: [closure] };
+// dates without closures are left out
+exports.getCalendar = async (campusId, startKey, endKey) => {
+  const closures = await exports.getClosures(campusId, startKey, endKey);
+  const calendar = {};
+
+  for (const key of exports.eachDateKey(startKey, endKey)) {
+    const matching = closures.filter(closure => closure.occursOn(key));
+    if (matching.length > 0) calendar[key] = matching;
+  }
+  return calendar;
+};
+
+// First date between two date keys on which the campus is closed, as
+// { date, closure }, or null when it is open throughout
+exports.findClosedDate = async (campusId, startKey, endKey) => {
+  const calendar = await exports.getCalendar(campusId, startKey, endKey);
+
+  for (const [date, closures] of Object.entries(calendar)) {
+    const closure = closures.find(candidate => candidate.closed);
+    if (closure) return { date, closure };
+  }
+  return null;
+};
+
+// First campus-local date touched by the period [start, end) on which the
+// campus is closed, as { date, closure }, or null
+exports.findClosureDuring = async (campusId, start, end) => {
+  const timeZone = await Campus.getTimeZone(campusId);
+  return exports.findClosedDate(
+    campusId,
+    timeZones.toDateKey(start, timeZone),
+    // A period ending at midnight does not touch the next day
+    timeZones.toDateKey(new Date(end).getTime() - 1, timeZone)
+  );
+};
+
+// Scheduled sessions of a course offering that fall on closure dates,
+// including exam periods that leave the campus open. Session times are read
+// in the campus's time zone.
+exports.getAffectedSessions = async (offering) => {
+  const campusId = offering.campus._id || offering.campus;
+  const timeZone = await Campus.getTimeZone(campusId);
+  const calendar = await exports.getCalendar(
+    campusId,
+    timeZones.toDateKey(offering.startDate, timeZone),
+    timeZones.toDateKey(offering.endDate, timeZone)
+  );
+
+  const sessions = [];
+  for (const [date, closures] of Object.entries(calendar)) {
+    const day = exports.getDayName(date);
+    for (const session of offering.schedule.filter(entry => entry.day === day)) {
+      sessions.push({
+        date,
+        day,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        startsAt: timeZones.describe(timeZones.fromLocal(date, session.startTime, timeZone), timeZone),
+        endsAt: timeZones.describe(timeZones.fromLocal(date, session.endTime, timeZone), timeZone),
+        room: session.room,
+        location: session.location,
+        cancelled: closures.some(closure => closure.closed),
+        closures: closures.map(closure => ({
+          _id: closure._id,
+          name: closure.name,
+          type: closure.type,
+          closed: closure.closed
+        }))
+      });
+    }
+  }
+  return sessions;
+};
+
+// Undo iCalendar TEXT escaping
+const unescapeText = (value) => {
+  return value.replace(/\\([\;,nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+};
+
+// Date key of a DATE or DATE-TIME value; DTEND is exclusive for all-day
+// events and for date-times at midnight, so it is moved back a day
+const parseICalDate = (value, isEnd) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T(\d{6}))?/.exec(value || '');
+  if (!match) return null;
+
+  const key = `${match[1]}-${match[2]}-${match[3]}`;
+  if (isEnd && (!match[4] || match[5] === '000000')) {
+    return exports.addDays(key, -1);
+  }
+  return key;
+};
+
+// Parse the VEVENTs of an iCalendar (RFC 5545) document into closure
+// fields. Only all-day style entries are kept; a yearly RRULE becomes a
+// yearly closure and other repeat rules are reported as errors.
+exports.parseICalendar = (text) => {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const errors = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) {
+        const eventNumber = events.length + errors.length + 1;
+        const startDate = parseICalDate(current.DTSTART, false);
+        const endDate = current.DTEND ? parseICalDate(current.DTEND, true) : startDate;
+        const rule = current.RRULE || '';
+
+        if (!current.SUMMARY || !startDate) {
+          errors.push({ event: eventNumber, uid: current.UID, error: 'Event needs a SUMMARY and a DTSTART date' });
+        } else if (rule && !/(^|;)FREQ=YEARLY(;|$)/.test(rule)) {
+          errors.push({ event: eventNumber, uid: current.UID, error: `Unsupported repeat rule: ${rule}` });
+        } else {
+          events.push({
+            uid: current.UID,
+            name: unescapeText(current.SUMMARY),
+            description: current.DESCRIPTION ? unescapeText(current.DESCRIPTION) : undefined,
+            startDate,
+            endDate: endDate < startDate ? startDate : endDate,
+            recurrence: rule ? 'yearly' : 'none'
+          });
+        }
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    current[name] = line.slice(separator + 1).trim();
+  }
+
+  return { events, errors };
+};
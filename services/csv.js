@@ -0,0 +1,90 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes and embedded newlines
+
+// Parse CSV text into an array of objects keyed by the header row
+exports.parse = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(cells => {
+    return headers.reduce((acc, header, index) => {
+      acc[header] = cells[index] !== undefined ? cells[index].trim() : '';
+      return acc;
+    }, {});
+  });
+};
+
+// Quote a single value for CSV output
+exports.formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Neutralise spreadsheet formula injection
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Format one CSV line (with trailing CRLF) from an array of values
+exports.formatRow = (values) => {
+  return values.map(exports.formatValue).join(',') + '\r\n';
+};
+
+// Byte order mark so spreadsheet applications detect UTF-8
+exports.BOM = '\uFEFF';
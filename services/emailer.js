@@ -1,5 +1,10 @@
 require('dotenv').config();
 const nodemailer = require('nodemailer');
+const fs = require('fs').promises;
+const path = require('path');
+const tokens = require('./tokens');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
 
 // Use your Gmail credentials here
 /*const transporter = nodemailer.createTransport({
@@ -45,4 +50,62 @@ exports.sendReviewHtmlBody = async (to, body, subject) => {
   return this.sendEmail(mailOptions);
 }
 
+// Send a non-critical notification email with an unsubscribe link for
+// `category` (or for all notification emails when no category is given).
+// Account and security emails must use sendReviewHtmlBody instead.
+exports.sendNotificationHtml = async (user, body, subject, category) => {
+  const unsubscribeUrl = `${APP_URL}/unsubscribe?token=${tokens.signUnsubscribeToken(user, category)}`;
+  const footer = `<p style="font-size:12px;color:#888888;">You are receiving this email because of your Smart Campus Portal notification preferences. <a href="${unsubscribeUrl}">Unsubscribe</a></p>`;
+
+  // Keep the footer inside the document when the body is a full HTML page
+  const html = body.includes('</body>')
+    ? body.replace('</body>', `${footer}</body>`)
+    : body + footer;
+
+  const mailOptions = {
+    from: "smartcampusportal2379@gmail.com",
+    to: user.email,
+    subject,
+    html,
+    list: {
+      unsubscribe: unsubscribeUrl
+    }
+  };
+  return this.sendEmail(mailOptions);
+};
+
+// Replace [Placeholder] values in a template body
+exports.fillTemplate = (body, values = {}) => {
+  for (const [placeholder, value] of Object.entries(values)) {
+    body = body.split(`[${placeholder}]`).join(value);
+  }
+  return body;
+};
+
+// Load an HTML template from templates/ and fill in its [Placeholder] values
+exports.renderTemplate = async (templateName, values = {}) => {
+  const body = await fs.readFile(path.join(__dirname, '..', 'templates', templateName));
+  return this.fillTemplate(body.toString(), values);
+};
 
+// Send many HTML emails with limited concurrency; failures are logged, not thrown
+exports.sendBulkHtml = async (messages, concurrency = 5) => {
+  let sent = 0;
+  let failed = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < messages.length) {
+      const { to, body, subject } = messages[next++];
+      try {
+        await this.sendReviewHtmlBody(to, body, subject);
+        sent++;
+      } catch (error) {
+        failed++;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, messages.length) }, worker));
+  return { sent, failed };
+};
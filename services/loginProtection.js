@@ -0,0 +1,109 @@
+const LoginThrottle = require('../model/LoginThrottle');
+const { loginProtection } = require('../config/security');
+
+const MINUTE = 60000;
+
+// Delay required after `failures` consecutive failures on an account
+const getDelaySeconds = (failures) => {
+  if (failures <= 0) return 0;
+  return Math.min(
+    loginProtection.baseDelaySeconds * Math.pow(2, failures - 1),
+    loginProtection.maxDelaySeconds
+  );
+};
+
+// Seconds until another attempt is allowed for a counter (0 when allowed now)
+const getRetryAfter = (throttle, now) => {
+  if (!throttle) return 0;
+
+  if (throttle.isLocked()) {
+    return Math.ceil((throttle.lockedUntil.getTime() - now) / 1000);
+  }
+
+  // Progressive delays apply per account only, so a shared campus IP is not slowed down
+  const windowStart = now - loginProtection.failureWindowMinutes * MINUTE;
+  if (throttle.scope !== 'account' || !throttle.lastFailureAt || throttle.lastFailureAt.getTime() < windowStart) {
+    return 0;
+  }
+
+  const nextAttemptAt = throttle.lastFailureAt.getTime() + getDelaySeconds(throttle.failures) * 1000;
+  return Math.max(0, Math.ceil((nextAttemptAt - now) / 1000));
+};
+
+// Count a failure, locking the counter once it reaches `maxFailures`.
+// Returns true when this failure triggered the lock.
+const recordFailure = async (scope, key, maxFailures) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - loginProtection.failureWindowMinutes * MINUTE);
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { scope, key },
+    [{
+      $set: {
+        // Failures older than the window no longer count
+        failures: {
+          $cond: [
+            { $gt: ['$lastFailureAt', windowStart] },
+            { $add: ['$failures', 1] },
+            1
+          ]
+        },
+        lastFailureAt: now,
+        expiresAt: {
+          $max: ['$lockedUntil', new Date(now.getTime() + loginProtection.failureWindowMinutes * MINUTE)]
+        }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+
+  if (throttle.failures < maxFailures || throttle.isLocked()) {
+    return false;
+  }
+
+  const lockedUntil = new Date(now.getTime() + loginProtection.lockoutMinutes * MINUTE);
+  await LoginThrottle.updateOne(
+    { _id: throttle._id },
+    { $set: { lockedUntil, expiresAt: lockedUntil } }
+  );
+  return true;
+};
+
+// Check whether a login attempt from this IP for this user (if known) may
+// proceed. The IP and account waits are reported separately so callers do not
+// reveal which accounts exist.
+exports.checkLoginAllowed = async (ip, user) => {
+  const now = Date.now();
+  const [ipThrottle, accountThrottle] = await Promise.all([
+    LoginThrottle.findOne({ scope: 'ip', key: ip }),
+    user ? LoginThrottle.findOne({ scope: 'account', key: user._id.toString() }) : null
+  ]);
+
+  return {
+    ipRetryAfter: getRetryAfter(ipThrottle, now),
+    accountRetryAfter: getRetryAfter(accountThrottle, now)
+  };
+};
+
+// Record a failed login; reports whether the account has just been locked
+exports.recordFailedLogin = async (ip, user) => {
+  await recordFailure('ip', ip, loginProtection.maxIpFailures);
+
+  if (!user) {
+    return { accountLocked: false };
+  }
+
+  const accountLocked = await recordFailure('account', user._id.toString(), loginProtection.maxAccountFailures);
+  return { accountLocked };
+};
+
+// Clear the account's failure counter after a successful login
+exports.recordSuccessfulLogin = async (user) => {
+  await LoginThrottle.deleteOne({ scope: 'account', key: user._id.toString() });
+};
+
+// Remove any lockout on an account; returns true if one existed
+exports.unlockAccount = async (userId) => {
+  const result = await LoginThrottle.deleteOne({ scope: 'account', key: userId.toString() });
+  return result.deletedCount > 0;
+};
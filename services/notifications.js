@@ -0,0 +1,171 @@
+const User = require('../model/User');
+const Boardroom = require('../model/Boardroom');
+const QueuedNotification = require('../model/QueuedNotification');
+const emailer = require('./emailer');
+const notificationConfig = require('../config/notifications');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// A user's preferences for every category, with defaults filled in
+exports.getPreferences = (user) => {
+  const stored = user.notificationPreferences || {};
+  return notificationConfig.CATEGORIES.reduce((preferences, category) => {
+    const preference = stored[category] && stored[category].toObject
+      ? stored[category].toObject()
+      : stored[category];
+    preferences[category] = { ...notificationConfig.DEFAULT_PREFERENCE, ...preference };
+    return preferences;
+  }, {});
+};
+
+// Check a preferences update ({ <category>: { email, inApp, delivery } },
+// every field optional); returns a list of problems (empty when valid)
+exports.validateUpdate = (update) => {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    return ['Preferences must be an object keyed by category'];
+  }
+
+  const problems = [];
+  for (const [category, preference] of Object.entries(update)) {
+    if (!notificationConfig.CATEGORIES.includes(category)) {
+      problems.push(`Unknown notification category: ${category}`);
+      continue;
+    }
+    if (!preference || typeof preference !== 'object' || Array.isArray(preference)) {
+      problems.push(`Preferences for ${category} must be an object`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(preference)) {
+      if (notificationConfig.CHANNELS.includes(field)) {
+        if (typeof value !== 'boolean') problems.push(`${category}.${field} must be true or false`);
+      } else if (field === 'delivery') {
+        if (!notificationConfig.DELIVERY_MODES.includes(value)) {
+          problems.push(`${category}.delivery must be one of: ${notificationConfig.DELIVERY_MODES.join(', ')}`);
+        }
+      } else {
+        problems.push(`Unknown preference: ${category}.${field}`);
+      }
+    }
+  }
+  return problems;
+};
+
+// Apply a validated update to the user document (not saved)
+exports.applyUpdate = (user, update) => {
+  for (const [category, preference] of Object.entries(update)) {
+    for (const [field, value] of Object.entries(preference)) {
+      user.set(`notificationPreferences.${category}.${field}`, value);
+    }
+  }
+};
+
+// Turn off email for one category, or for all of them
+exports.unsubscribe = (user, category) => {
+  const categories = category ? [category] : notificationConfig.CATEGORIES;
+  for (const name of categories) {
+    user.set(`notificationPreferences.${name}.email`, false);
+  }
+};
+
+// Email a non-critical notification according to the user's preferences:
+// sent now, queued for the next digest, or skipped. Returns which happened.
+// In-app delivery is up to the client, which reads the same preferences.
+exports.notify = async (user, category, { subject, body }) => {
+  if (!notificationConfig.CATEGORIES.includes(category)) {
+    throw new Error(`Unknown notification category: ${category}`);
+  }
+
+  const preference = exports.getPreferences(user)[category];
+  if (!user.isActive || user.erasedAt || !preference.email) {
+    return 'skipped';
+  }
+
+  if (preference.delivery === 'digest') {
+    await QueuedNotification.create({ user: user._id, category, subject });
+    return 'queued';
+  }
+
+  await emailer.sendNotificationHtml(user, body, subject, category);
+  return 'sent';
+};
+
+// Tell the reporter of a maintenance request (and, on assignment, the
+// assignee) that its status changed. The user who made the change is not
+// notified.
+exports.notifyMaintenanceStatus = async (maintenance, actorId) => {
+  const recipients = [{ id: maintenance.reportedBy, message: 'There is an update on a maintenance request you reported.' }];
+  if (maintenance.status === 'assigned' && maintenance.assignedTo) {
+    recipients.push({ id: maintenance.assignedTo, message: 'A maintenance request has been assigned to you.' });
+  }
+
+  const boardroom = await Boardroom.findById(maintenance.boardroom).select('name');
+  const status = maintenance.status.replace('_', ' ');
+
+  for (const recipient of recipients) {
+    if (!recipient.id || (actorId && recipient.id.equals(actorId))) continue;
+
+    const user = await User.findById(recipient.id);
+    if (!user) continue;
+
+    const body = await emailer.renderTemplate('maintenanceStatusTemplate.html', {
+      'User Name': escapeHtml(user.firstName + " " + user.lastName),
+      'Update Message': recipient.message,
+      'Boardroom Name': escapeHtml(boardroom ? boardroom.name : 'Unknown boardroom'),
+      'Request Type': escapeHtml(maintenance.type),
+      'Status': escapeHtml(status),
+      'Resolution': maintenance.resolution
+        ? `      <p>Resolution: ${escapeHtml(maintenance.resolution)}</p>`
+        : '',
+      'Portal Link': APP_URL
+    });
+    const subject = boardroom
+      ? `Maintenance request for ${boardroom.name} is ${status}`
+      : `Maintenance request is ${status}`;
+
+    await exports.notify(user, 'maintenance', { subject, body });
+  }
+};
+
+// Send one digest email per user with queued notifications. Items for
+// categories the user has since unsubscribed from are dropped.
+exports.sendDigests = async () => {
+  const userIds = await QueuedNotification.distinct('user');
+  let sent = 0;
+  let failed = 0;
+
+  for (const userId of userIds) {
+    const items = await QueuedNotification.find({ user: userId }).sort({ createdAt: 1 });
+    const user = await User.findById(userId);
+
+    const preferences = user ? exports.getPreferences(user) : {};
+    const wanted = user && user.isActive && !user.erasedAt
+      ? items.filter(item => preferences[item.category] && preferences[item.category].email)
+      : [];
+
+    try {
+      if (wanted.length > 0) {
+        const body = await emailer.renderTemplate('notificationDigestTemplate.html', {
+          'User Name': user.firstName + " " + user.lastName,
+          'Digest Items': wanted.map(item => `        <li>${escapeHtml(item.subject)}</li>`).join('\n'),
+          'Portal Link': APP_URL
+        });
+        await emailer.sendNotificationHtml(user, body, 'Your Smart Campus Portal notifications');
+        sent++;
+      }
+      await QueuedNotification.deleteMany({ _id: { $in: items.map(item => item._id) } });
+    } catch (error) {
+      // Leave the items queued for the next run
+      failed++;
+    }
+  }
+
+  return { sent, failed };
+};
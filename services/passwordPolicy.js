@@ -0,0 +1,109 @@
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const { passwordPolicy: policy } = require('../config/security');
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+// Shorter name or email fragments match too much to be useful
+const MIN_PERSONAL_TOKEN_LENGTH = 3;
+
+// Loaded once; lowercase entries
+const blocklist = new Set(
+  fs.readFileSync(policy.blocklistFile, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const violation = (code, message) => ({ code, message });
+
+// Fragments of the user's email and name a password should not contain
+const getPersonalTokens = (user) => {
+  const sources = [
+    user.email ? user.email.split('@')[0] : '',
+    user.firstName,
+    user.lastName
+  ];
+  return sources
+    .filter(Boolean)
+    .flatMap(source => String(source).toLowerCase().split(/[^a-z0-9]+/))
+    .filter(token => token.length >= MIN_PERSONAL_TOKEN_LENGTH);
+};
+
+// Common passwords are often padded with digits or symbols ("Password1!")
+const isBlocklisted = (password) => {
+  const lower = password.toLowerCase();
+  const stripped = lower.replace(/[^a-z]+$/, '').replace(/^[^a-z]+/, '');
+  return blocklist.has(lower) || (stripped.length >= 4 && blocklist.has(stripped));
+};
+
+// Rules that need nothing but the password and the user's profile.
+// `user` may be a User document or plain profile fields.
+exports.checkRules = (password, user = {}) => {
+  const violations = [];
+
+  if (password.length < policy.minLength) {
+    violations.push(violation('too_short', `Password must be at least ${policy.minLength} characters long`));
+  }
+  if (password.length > policy.maxLength) {
+    violations.push(violation('too_long', `Password must be at most ${policy.maxLength} characters long`));
+  }
+
+  const classes = CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length;
+  if (classes < policy.minCharacterClasses && password.length < policy.passphraseLength) {
+    violations.push(violation(
+      'too_few_character_classes',
+      `Password must use at least ${policy.minCharacterClasses} of: lowercase letters, uppercase letters, digits, symbols (or be at least ${policy.passphraseLength} characters long)`
+    ));
+  }
+
+  const lower = password.toLowerCase();
+  if (getPersonalTokens(user).some(token => lower.includes(token))) {
+    violations.push(violation('similar_to_personal_info', 'Password must not contain your name or email address'));
+  }
+
+  if (isBlocklisted(password)) {
+    violations.push(violation('common_password', 'Password is too common or has appeared in a data breach'));
+  }
+
+  return violations;
+};
+
+// Whether the password matches one of the user's last historySize passwords
+// (the history includes the current one). Needs passwordHistory selected.
+exports.isReused = async (password, user) => {
+  if (policy.historySize <= 0) return false;
+
+  // Accounts from before the history was kept only have their current password
+  const hashes = user.passwordHistory && user.passwordHistory.length > 0
+    ? user.passwordHistory
+    : [user.password].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// All violations for a new password of an existing user; an empty list
+// means it is accepted
+exports.validate = async (password, user) => {
+  const violations = exports.checkRules(password, user);
+
+  if (await exports.isReused(password, user)) {
+    violations.push(violation(
+      'recently_used',
+      `Password must not match any of your last ${policy.historySize} passwords`
+    ));
+  }
+
+  return violations;
+};
+
+// Error response body for a rejected password
+exports.toErrorResponse = (violations) => {
+  return {
+    success: false,
+    error: 'Password does not meet the password policy',
+    violations
+  };
+};
@@ -0,0 +1,169 @@
+const User = require('../model/User');
+const Booking = require('../model/Booking');
+const Maintenance = require('../model/Maintenance');
+const Course = require('../model/Course');
+const Session = require('../model/Session');
+const QueuedNotification = require('../model/QueuedNotification');
+const AuditLog = require('../model/AuditLog');
+const ApiKey = require('../model/ApiKey');
+const Impersonation = require('../model/Impersonation');
+const loginProtection = require('./loginProtection');
+
+const ARCHIVE_VERSION = 2;
+const REDACTED = '[REDACTED]';
+
+// Profile fields that identify the person; cleared or replaced on erasure
+const PERSONAL_FIELDS = ['email', 'firstName', 'lastName', 'department', 'identification', 'password', 'passwordReset'];
+
+const toObject = (doc) => {
+  const object = doc.toObject();
+  delete object.__v;
+  return object;
+};
+
+// Collect everything stored about a user into a single archive
+exports.buildArchive = async (user) => {
+  const userId = user._id;
+
+  const [profile, bookings, maintenance, courses, sessions, auditLogs, apiKeys, impersonations] = await Promise.all([
+    User.findById(userId).withDeleted().populate('campus'),
+    Booking.find({ $or: [{ user: userId }, { cancelledBy: userId }] })
+      .populate('boardroom', 'name code campus')
+      .sort({ startTime: -1 }),
+    Maintenance.find({ $or: [{ reportedBy: userId }, { assignedTo: userId }, { 'notes.addedBy': userId }] })
+      .populate('boardroom', 'name code campus')
+      .sort({ reportedAt: -1 }),
+    Course.find({ 'campuses.instructor': userId }).withDeleted(),
+    Session.find({ user: userId }).sort({ createdAt: -1 }),
+    AuditLog.find({
+      $or: [
+        { actor: userId },
+        { impersonatedUser: userId },
+        { targetModel: 'User', targetId: userId }
+      ]
+    }).sort({ createdAt: -1 }),
+    ApiKey.find({ owner: userId }).sort({ createdAt: -1 }),
+    Impersonation.find({ $or: [{ actor: userId }, { target: userId }] }).sort({ createdAt: -1 })
+  ]);
+
+  const profileObject = profile.getPublicProfile();
+  const campus = profileObject.campus;
+  profileObject.campus = campus ? campus._id : undefined;
+
+  const isUser = (id) => Boolean(id) && id.toString() === userId.toString();
+
+  const notes = [];
+  for (const request of maintenance) {
+    for (const note of request.notes) {
+      if (isUser(note.addedBy)) {
+        notes.push({ maintenance: request._id, content: note.content, addedAt: note.addedAt });
+      }
+    }
+  }
+
+  const offerings = [];
+  for (const course of courses) {
+    for (const offering of course.campuses) {
+      if (isUser(offering.instructor)) {
+        offerings.push({
+          course: { _id: course._id, code: course.code, name: course.name },
+          ...offering.toObject()
+        });
+      }
+    }
+  }
+
+  return {
+    version: ARCHIVE_VERSION,
+    generatedAt: new Date(),
+    profile: profileObject,
+    campus: campus || null,
+    bookings: {
+      made: bookings.filter(booking => isUser(booking.user)).map(toObject),
+      cancelled: bookings.filter(booking => isUser(booking.cancelledBy)).map(toObject)
+    },
+    maintenance: {
+      reported: maintenance.filter(request => isUser(request.reportedBy)).map(toObject),
+      assigned: maintenance.filter(request => isUser(request.assignedTo)).map(toObject)
+    },
+    maintenanceNotes: notes,
+    courseOfferings: offerings,
+    sessions: sessions.map(session => session.getSummary()),
+    // Changes made by the user list what was changed, not the values, since
+    // those may be other people's data
+    auditLog: {
+      about: auditLogs
+        .filter(entry => entry.targetModel === 'User' && isUser(entry.targetId))
+        .map(toObject),
+      actions: auditLogs
+        .filter(entry => isUser(entry.actor) || isUser(entry.impersonatedUser))
+        .map(entry => {
+          const object = toObject(entry);
+          object.changes = entry.changes.map(change => change.field);
+          return object;
+        })
+    },
+    apiKeys: apiKeys.map(apiKey => apiKey.getSummary()),
+    // The administrator's connection details are not part of the target's data
+    impersonations: {
+      performed: impersonations.filter(record => isUser(record.actor)).map(toObject),
+      received: impersonations
+        .filter(record => isUser(record.target))
+        .map(record => {
+          const object = toObject(record);
+          delete object.ip;
+          delete object.userAgent;
+          return object;
+        })
+    }
+  };
+};
+
+// Anonymise a user in place. The document (and its _id) stays so bookings,
+// maintenance requests and course offerings still resolve; only the details
+// that identify the person are removed.
+exports.eraseUser = async (user, erasedBy) => {
+  const userId = user._id;
+
+  user.email = `erased-${userId}@erased.invalid`;
+  user.firstName = 'Erased';
+  user.lastName = 'User';
+  user.department = undefined;
+  user.identification = undefined;
+  user.password = undefined;
+  user.passwordHistory = undefined;
+  user.passwordReset = undefined;
+  user.invitation = undefined;
+  user.twoFactor = { enabled: false };
+  user.emailVerified = undefined;
+  user.emailVerifiedAt = undefined;
+  user.verificationEmailSentAt = undefined;
+  user.lastLogin = undefined;
+  user.isActive = false;
+  user.erasedAt = new Date();
+  user.erasedBy = erasedBy;
+  await user.save();
+
+  // Sessions hold IP addresses and user agents and are referenced nowhere else
+  await Session.deleteMany({ user: userId });
+  await QueuedNotification.deleteMany({ user: userId });
+  await loginProtection.unlockAccount(userId);
+
+  // Earlier audit entries (including the one just written) keep which fields
+  // changed but lose the personal values
+  const entries = await AuditLog.find({ targetModel: 'User', targetId: userId });
+  for (const entry of entries) {
+    for (const change of entry.changes) {
+      if (PERSONAL_FIELDS.some(field => change.field === field || change.field.startsWith(`${field}.`))) {
+        if (change.from !== undefined) change.from = REDACTED;
+        if (change.to !== undefined) change.to = REDACTED;
+      }
+    }
+    entry.markModified('changes');
+    await entry.save();
+  }
+
+  await AuditLog.updateMany({ actor: userId }, { $unset: { ip: 1, userAgent: 1 } });
+
+  return user;
+};
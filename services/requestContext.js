@@ -0,0 +1,16 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries the current request through async calls so model hooks can see
+// who is acting without it being passed down explicitly
+const storage = new AsyncLocalStorage();
+
+// Express middleware that opens a context for the rest of the request
+exports.middleware = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+// Request currently being handled, if any
+exports.getRequest = () => {
+  const store = storage.getStore();
+  return store ? store.req : null;
+};
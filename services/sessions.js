@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Session = require('../model/Session');
+const tokens = require('./tokens');
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const PREVIOUS_TOKEN_HISTORY = 20;
+const DAY = 86400000;
+
+// Refresh tokens are "<session id>.<secret>" so the session can be found by id
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+// Start a session for the user and issue its first token pair
+exports.createSession = async (user, req) => {
+  const { token: secret, hash } = tokens.generateOpaqueToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hash,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * DAY)
+  });
+
+  return {
+    session,
+    token: tokens.signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Exchange a refresh token for a new token pair. Returns null if the token
+// is not valid. Presenting a token that was already rotated out means it
+// has been copied, so the whole session is revoked.
+exports.rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const presentedHash = tokens.hashToken(parsed.secret);
+  const { token: secret, hash } = tokens.generateOpaqueToken();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hash,
+        lastUsedAt: new Date(),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      },
+      $push: {
+        previousTokenHashes: { $each: [presentedHash], $slice: -PREVIOUS_TOKEN_HISTORY }
+      }
+    },
+    { new: true }
+  ).populate('user');
+
+  if (!session) {
+    await Session.updateOne(
+      { _id: parsed.sessionId, previousTokenHashes: presentedHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+    );
+    return null;
+  }
+
+  const user = session.user;
+  if (!user || !user.isActive) {
+    await exports.revokeSession(session._id, 'deactivated');
+    return null;
+  }
+
+  return {
+    session,
+    user,
+    token: tokens.signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Revoke a single session
+exports.revokeSession = (sessionId, reason) => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Revoke every session of a user (sign out everywhere)
+exports.revokeAllSessions = (userId, reason) => {
+  return Session.revokeAllForUser(userId, reason);
+};
@@ -0,0 +1,134 @@
+// Time zone arithmetic on top of Intl, so campus-local dates and times do
+// not depend on the zone the server runs in. Dates are YYYY-MM-DD keys and
+// times are HH:MM strings, both read in a campus's IANA zone.
+
+// Zone of campuses that have none stored (campuses created before time zones
+// were tracked); the portal's campuses are in South Africa
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Africa/Johannesburg';
+const MINUTE_MS = 60000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// One formatter per zone; building them is comparatively slow
+const formatters = {};
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatters[timeZone];
+};
+
+exports.DEFAULT_TIME_ZONE = DEFAULT_TIME_ZONE;
+
+// Whether a string is an IANA time zone known to the runtime
+exports.isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of an instant in a zone
+exports.getParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(date))) {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+  }
+  return parts;
+};
+
+// Minutes the zone is ahead of UTC at an instant (negative west of Greenwich)
+exports.getOffsetMinutes = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const time = new Date(date).getTime();
+  const parts = exports.getParts(time, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(time / 1000) * 1000) / MINUTE_MS);
+};
+
+// YYYY-MM-DD of an instant in a zone
+exports.toDateKey = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = exports.getParts(date, timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+};
+
+// HH:MM of an instant in a zone
+exports.toTime = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = exports.getParts(date, timeZone);
+  return `${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+// The instant at which a zone's clocks show a date and time. Times skipped
+// when clocks go forward resolve to the same clock time after the change
+// (02:30 becomes 03:30); times repeated when clocks go back resolve to the
+// first occurrence.
+exports.fromLocal = (dateKey, time = '00:00', timeZone = DEFAULT_TIME_ZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Try the offsets in force shortly before and after the wall-clock time
+  const candidates = [
+    wallClock - exports.getOffsetMinutes(wallClock - 12 * 60 * MINUTE_MS, timeZone) * MINUTE_MS,
+    wallClock - exports.getOffsetMinutes(wallClock + 12 * 60 * MINUTE_MS, timeZone) * MINUTE_MS
+  ].sort((a, b) => a - b);
+
+  const exact = candidates.find(candidate =>
+    candidate + exports.getOffsetMinutes(candidate, timeZone) * MINUTE_MS === wallClock
+  );
+  if (exact !== undefined) return new Date(exact);
+
+  // In a gap: reading the time with the earlier offset moves it past the gap
+  return new Date(candidates[1]);
+};
+
+// Parse an ISO 8601 date-time; one without an offset or Z is read as
+// wall-clock time in the zone (seconds are ignored)
+exports.parseDateTime = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const localTime = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(:\d{2}(\.\d+)?)?$/.exec(value);
+  if (localTime) {
+    return exports.fromLocal(localTime[1], localTime[2], timeZone);
+  }
+  return new Date(value);
+};
+
+// Start and end instants of a local day
+exports.getDayBounds = (dateKey, timeZone = DEFAULT_TIME_ZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const nextKey = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+  return {
+    start: exports.fromLocal(dateKey, '00:00', timeZone),
+    end: new Date(exports.fromLocal(nextKey, '00:00', timeZone).getTime() - 1)
+  };
+};
+
+// ISO 8601 local time with the zone's offset, e.g. 2026-10-19T09:00:00+02:00
+exports.formatLocal = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = exports.getParts(date, timeZone);
+  const offset = exports.getOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+// An instant as UTC and campus-local time, for API responses
+exports.describe = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  if (!date) return null;
+  return {
+    utc: new Date(date).toISOString(),
+    local: exports.formatLocal(date, timeZone),
+    timeZone
+  };
+};
@@ -0,0 +1,125 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Issue a signed access token for a user's session
+exports.signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { type: 'access', role: user.role, sid: sessionId.toString() },
+    getSecret(),
+    {
+      subject: user._id.toString(),
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    }
+  );
+};
+
+// Issue an access token acting as impersonation.target. It carries the real
+// actor in the "act" claim and expires with the impersonation.
+exports.signImpersonationToken = (target, impersonation) => {
+  return jwt.sign(
+    {
+      type: 'access',
+      role: target.role,
+      sid: impersonation.session.toString(),
+      imp: impersonation._id.toString(),
+      act: { sub: impersonation.actor.toString() },
+      exp: Math.floor(impersonation.expiresAt.getTime() / 1000)
+    },
+    getSecret(),
+    { subject: target._id.toString() }
+  );
+};
+
+// Verify an access token and return its payload (throws if invalid or expired)
+exports.verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== 'access') {
+    throw new Error('Not an access token');
+  }
+  return payload;
+};
+
+exports.EMAIL_VERIFICATION_EXPIRES_HOURS = EMAIL_VERIFICATION_EXPIRES_HOURS;
+
+// Issue a signed email verification token bound to the user's current email
+exports.signEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { type: 'email-verification', email: user.email },
+    getSecret(),
+    {
+      subject: user._id.toString(),
+      expiresIn: `${EMAIL_VERIFICATION_EXPIRES_HOURS}h`
+    }
+  );
+};
+
+// Verify an email verification token and return its payload
+exports.verifyEmailVerificationToken = (token) => {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== 'email-verification') {
+    throw new Error('Not an email verification token');
+  }
+  return payload;
+};
+
+// Hash an opaque token for storage (only the hash is ever persisted)
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random single-use token together with its storage hash
+exports.generateOpaqueToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: exports.hashToken(token) };
+};
+
+// Issue a short-lived token proving the password step of a two-factor login
+exports.signTwoFactorChallengeToken = (user) => {
+  return jwt.sign(
+    { type: 'two-factor-challenge' },
+    getSecret(),
+    {
+      subject: user._id.toString(),
+      expiresIn: '5m'
+    }
+  );
+};
+
+// Verify a two-factor challenge token and return its payload
+exports.verifyTwoFactorChallengeToken = (token) => {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== 'two-factor-challenge') {
+    throw new Error('Not a two-factor challenge token');
+  }
+  return payload;
+};
+
+// Issue a token for the unsubscribe link in notification emails. It does not
+// expire so links in old emails keep working; without a category it covers
+// every category.
+exports.signUnsubscribeToken = (user, category) => {
+  return jwt.sign(
+    { type: 'unsubscribe', category },
+    getSecret(),
+    { subject: user._id.toString() }
+  );
+};
+
+// Verify an unsubscribe token and return its payload
+exports.verifyUnsubscribeToken = (token) => {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== 'unsubscribe') {
+    throw new Error('Not an unsubscribe token');
+  }
+  return payload;
+};
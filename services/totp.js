@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) using HMAC-SHA1, 6 digits, 30 second steps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// HMAC-based one-time password (RFC 4226) for a counter value
+const hotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS);
+  return binary.toString().padStart(DIGITS, '0');
+};
+
+// Current time step
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Generate a new random base32 secret (160 bits)
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Build the otpauth:// URI that authenticator apps scan as a QR code
+exports.getOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Check a code against the secret, allowing one step of clock drift either way.
+// Returns the matched time step, or null. Steps at or before `lastUsedStep`
+// are rejected so a code cannot be replayed.
+exports.verifyCode = (secret, code, lastUsedStep = -1, time = Date.now()) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getStep(time);
+
+  for (let step = currentStep - 1; step <= currentStep + 1; step++) {
+    if (step <= lastUsedStep) continue;
+    const expected = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const totp = require('./totp');
+const tokens = require('./tokens');
+const { twoFactor: twoFactorConfig } = require('../config/security');
+
+// Fields that must be selected explicitly to work with a user's second factor
+exports.SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Check whether the policy requires two-factor authentication for this user
+exports.isRequiredFor = (user) => {
+  return twoFactorConfig.requiredRoles.includes(user.role);
+};
+
+// Generate one-time recovery codes; only their hashes are stored
+exports.generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < twoFactorConfig.recoveryCodeCount; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashed: codes.map(code => ({ hash: tokens.hashToken(normalizeRecoveryCode(code)) }))
+  };
+};
+
+// Verify a TOTP code or an unused recovery code for a user loaded with
+// SECRET_FIELDS. Marks the code as used on the document; the caller saves it.
+exports.verifyUserCode = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = tokens.hashToken(normalizeRecoveryCode(recoveryCode));
+    const entry = user.twoFactor.recoveryCodes.find(recovery => recovery.hash === hash && !recovery.usedAt);
+    if (!entry) {
+      return false;
+    }
+    entry.usedAt = new Date();
+    return true;
+  }
+
+  return false;
+};
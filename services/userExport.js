@@ -0,0 +1,97 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const User = require('../model/User');
+const csv = require('./csv');
+
+// Columns available for export and how to read each from a user document.
+// The password hash and token fields are never selected.
+const COLUMNS = {
+  id: { fields: '_id', value: user => user._id.toString() },
+  email: { fields: 'email', value: user => user.email },
+  firstName: { fields: 'firstName', value: user => user.firstName },
+  lastName: { fields: 'lastName', value: user => user.lastName },
+  role: { fields: 'role', value: user => user.role },
+  department: { fields: 'department', value: user => user.department },
+  identification: { fields: 'identification', value: user => user.identification },
+  campusName: { fields: 'campus', value: user => user.campus && user.campus.name },
+  campusCode: { fields: 'campus', value: user => user.campus && user.campus.code },
+  isActive: { fields: 'isActive', value: user => user.isActive },
+  emailVerified: { fields: 'emailVerified', value: user => user.emailVerified !== false },
+  lastLogin: { fields: 'lastLogin', value: user => user.lastLogin },
+  createdAt: { fields: 'createdAt', value: user => user.createdAt }
+};
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// Validate export options from the query string; returns { error } or { format, columns }
+exports.parseOptions = (query) => {
+  if (!FORMATS[query.format]) {
+    return { error: `Invalid export format. Use one of: ${Object.keys(FORMATS).join(', ')}` };
+  }
+
+  const columns = query.columns
+    ? String(query.columns).split(',').map(column => column.trim()).filter(Boolean)
+    : Object.keys(COLUMNS);
+
+  const unknown = columns.filter(column => !COLUMNS[column]);
+  if (unknown.length > 0 || columns.length === 0) {
+    return { error: `Invalid export columns: ${unknown.join(', ') || 'none selected'}` };
+  }
+
+  return { format: query.format, columns };
+};
+
+// Stream every user matching `filter` to the response as CSV or JSON Lines
+exports.streamUsers = async (res, filter, { format, columns }) => {
+  const fields = [...new Set(columns.map(column => COLUMNS[column].fields))];
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.status(200);
+  res.set('Content-Type', FORMATS[format].contentType);
+  res.set('Content-Disposition', `attachment; filename="users-${date}.${FORMATS[format].extension}"`);
+
+  const cursor = User.find(filter)
+    .select(fields.join(' '))
+    .populate('campus', 'name code')
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+
+  // Closing the cursor in `finally` also covers a client that disconnects,
+  // since the pipeline then stops reading
+  const lines = async function* () {
+    try {
+      if (format === 'csv') {
+        yield csv.BOM + csv.formatRow(columns);
+      }
+
+      for await (const user of cursor) {
+        const values = columns.map(column => COLUMNS[column].value(user));
+        if (format === 'csv') {
+          yield csv.formatRow(values);
+        } else {
+          const record = columns.reduce((acc, column, index) => {
+            acc[column] = values[index] === undefined ? null : values[index];
+            return acc;
+          }, {});
+          yield JSON.stringify(record) + '\n';
+        }
+      }
+    } finally {
+      await cursor.close();
+    }
+  };
+
+  try {
+    await pipeline(Readable.from(lines()), res);
+  } catch (error) {
+    // Headers are already sent, so the download is simply cut short
+    // (the pipeline destroys the response)
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.log('Error streaming user export:', error);
+    }
+  }
+};
@@ -0,0 +1,56 @@
+const { check } = require('express-validator');
+const { ROLES } = require('../config/permissions');
+
+// Rules for the user profile fields, shared by single creation and bulk import
+const profileValidation = [
+  check('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  check('firstName')
+    .trim()
+    .notEmpty()
+    .withMessage('First name is required'),
+  check('lastName')
+    .trim()
+    .notEmpty()
+    .withMessage('Last name is required'),
+  check('role')
+    .isIn(ROLES)
+    .withMessage('Invalid role')
+];
+
+const userValidation = [
+  ...profileValidation,
+  // Strength is checked against the password policy by the controller
+  check('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+  check('campus')
+    .isMongoId()
+    .withMessage('Invalid campus ID')
+];
+
+// Imported rows have no password and may name the campus by code
+const userImportValidation = [
+  ...profileValidation,
+  check('campus')
+    .trim()
+    .notEmpty()
+    .withMessage('Campus is required')
+];
+
+// Invited users choose their own password when accepting
+const userInvitationValidation = [
+  ...profileValidation,
+  check('campus')
+    .isMongoId()
+    .withMessage('Invalid campus ID')
+];
+
+module.exports = {
+  userValidation,
+  userInvitationValidation,
+  userImportValidation
+};